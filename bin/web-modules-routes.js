@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/** Prints the route table of the modules in a directory. Modules are loaded
+ * by the {@link WebModules.DeploymentAgent}, but the server doesn't listen
+ * for connections.
+ * <p>
+ * Usage: <code>web-modules-routes [--verbose] modulesDir [method url]</code>
+ * </p>
+ * <p>
+ * If the method and the url are specified, it only prints the routes that
+ * match the request, in the order they're evaluated.
+ * </p>
+ */
+(function () {
+
+  /** Default logger.
+   * @private
+   */
+  var LOG = require('winston');
+
+  /** Node path API.
+   * @private
+   */
+  var path = require("path");
+
+  /** Columns of the printed table, in order. Each column has the
+   * <code>title</code> and a function to read the entry value.
+   * @constant
+   * @private
+   */
+  var COLUMNS = [{
+    title: "MODULE",
+    value: function (entry) {
+      return entry.module;
+    }
+  }, {
+    title: "TYPE",
+    value: function (entry) {
+      return entry.serverType + (entry.type === "static" ? " static" : "");
+    }
+  }, {
+    title: "METHOD",
+    value: function (entry) {
+      return entry.method || "event:" + entry.event;
+    }
+  }, {
+    title: "PATTERN",
+    value: function (entry) {
+      return entry.pattern;
+    }
+  }, {
+    title: "HANDLER",
+    value: function (entry) {
+      return entry.handler + (entry.name ? " (" + entry.name + ")" : "");
+    }
+  }, {
+    title: "FILTERS",
+    value: function (entry) {
+      return entry.filters.join(", ");
+    }
+  }];
+
+  /** Command line arguments.
+   * @private
+   */
+  var args = process.argv.slice(2);
+
+  /** Indicates whether deployment logs are printed.
+   * @private
+   */
+  var verbose = args.indexOf("--verbose") > -1;
+
+  /** Prints the command usage and exits.
+   * @private
+   */
+  var usage = function () {
+    console.error("Usage: web-modules-routes [--verbose] modulesDir " +
+      "[method url]");
+    process.exit(2);
+  };
+
+  /** Formats the route table as text.
+   * @param {Object[]} table Route table entries. Cannot be null.
+   * @return {String} The formatted table. Never returns null.
+   * @private
+   */
+  var format = function (table) {
+    var rows = [COLUMNS.map(function (column) {
+      return column.title;
+    })].concat(table.map(function (entry) {
+      return COLUMNS.map(function (column) {
+        return String(column.value(entry));
+      });
+    }));
+    var widths = COLUMNS.map(function (column, index) {
+      return rows.reduce(function (width, row) {
+        return Math.max(width, row[index].length);
+      }, 0);
+    });
+
+    return rows.map(function (row) {
+      return row.map(function (value, index) {
+        return index === row.length - 1 ? value :
+          value + new Array(widths[index] - value.length + 1).join(" ");
+      }).join("  ").replace(/\s+$/, "");
+    }).join("\n");
+  };
+
+  var WebModules;
+  var agent;
+
+  args = args.filter(function (arg) {
+    return arg !== "--verbose";
+  });
+  if (args.length !== 1 && args.length !== 3) {
+    usage();
+  }
+  if (!verbose) {
+    LOG.remove(LOG.transports.Console);
+  }
+
+  WebModules = require("node-web-modules");
+  agent = new WebModules.DeploymentAgent(path.resolve(args[0]));
+
+  agent.deploy(function () {
+    var manager = WebModules.ModuleManager;
+    var failed = agent.getDeployments().filter(function (deployment) {
+      return deployment.error;
+    });
+
+    console.log(format(args.length === 3 ?
+      manager.resolveRoutes(args[1], args[2]) : manager.getRouteTable()));
+
+    failed.forEach(function (deployment) {
+      console.error("Module " + deployment.manifest.name + " failed: " +
+        deployment.error);
+    });
+
+    // The server isn't listening, but socket.io may keep the process alive.
+    process.exit(failed.length > 0 ? 1 : 0);
+  });
+}());
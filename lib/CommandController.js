@@ -30,6 +30,33 @@
  *   <li>{@link WebModules.Redirect}: forces a redirect.</li>
  * </ul>
  * </p>
+ * <p>
+ * Commands can also return a Promise, or any thenable object, as the
+ * <code>async execute()</code> methods do. The request is deferred until the
+ * promise is settled, and the value is resolved as any of the results above.
+ * Rejections are handled as errors. Models are thenables too, but they're
+ * checked before thenables, so a returned <code>Model</code> keeps its
+ * options and redirect. Promises adopt the state of <code>Model</code>
+ * objects, though, so async commands must return a
+ * <code>ModelAndView</code> in order to keep model options or redirects.
+ * </p>
+ * <p>
+ * Commands are validated after data binding. Commands can implement a
+ * <code>validate(errors)</code> method that takes a
+ * {@link WebModules.Errors} object to reject invalid fields, and they can
+ * declare constraints for each property returning them from the
+ * <code>getConstraints()</code> method. Look at {@link WebModules.Validator}
+ * for supported constraints. If there're binding or validation errors the
+ * command is not executed, and the model fails with a
+ * {@link WebModules.ValidationError}. The model data contains the bound
+ * values.
+ * </p>
+ * <p>
+ * Services are injected into the command before data binding. Look at
+ * {@link WebModules.ServiceRegistry} for how commands declare the services
+ * they need. Properties that hold a service are never bound, so requests
+ * cannot overwrite them.
+ * </p>
  *
  * @param {Function} createCommand Function invoked to build a new command
  *    object. Cannot be null.
@@ -52,10 +79,25 @@
  * @param {Boolean} [options.bindCookies] Indicates whether cookies
  *   will be bound to the command. Default is false.
  *
+ * @param {Object} [options.transactionManager] Transaction manager to open a
+ *   transaction before the data binding and the command execution. The
+ *   transaction is committed once the model is ready, before the response is
+ *   written, and it's rolled back if the execution or the commit fails. Look
+ *   at {@link WebModules.InMemoryTransactionManager} for the contract.
+ *   Default is null, there's no transaction.
+ *
+ * @param {WebModules.ServiceRegistry} [options.services] Registry of the
+ *   services injected into commands. Default is null, there're no services.
+ *
  * @constructor
  */
 WebModules.CommandController = function (createCommand, viewName, options) {
 
+  /** Default logger.
+   * @private
+   */
+  var LOG = require('winston');
+
   /** Controller general options. Look at the constructor documentation for
    * further information.
    *
@@ -66,7 +108,9 @@ WebModules.CommandController = function (createCommand, viewName, options) {
     bindRouteParams: true,
     bindRequestParams: true,
     bindRequestBody: true,
-    bindCookies: false
+    bindCookies: false,
+    transactionManager: null,
+    services: null
   }, options);
 
   /** Checks constructor preconditions.
@@ -80,6 +124,198 @@ WebModules.CommandController = function (createCommand, viewName, options) {
     return true;
   }());
 
+  /** Determines whether the specified object is a thenable, according to
+   * the Promises/A+ specification.
+   * @param {Object} object Object to check. Can be null.
+   * @return {Boolean} true if the object is a thenable, false otherwise.
+   * @private
+   * @methodOf WebModules.CommandController#
+   */
+  var isThenable = function (object) {
+    return object !== null && object !== undefined &&
+      (typeof object === "object" || typeof object === "function") &&
+      typeof object.then === "function";
+  };
+
+  /** Copies the result of a model and view into a deferred model and view,
+   * and finishes it once the source model is ready.
+   *
+   * @param {WebModules.ModelAndView} target Deferred model and view to
+   *   finish. Cannot be null.
+   * @param {WebModules.ModelAndView} source Model and view resolved from the
+   *   command result. Cannot be null.
+   * @param {Function} [complete] Function invoked once the source model is
+   *   ready, before the target model is finished. If it throws an error, the
+   *   target model fails. Can be null.
+   * @private
+   * @methodOf WebModules.CommandController#
+   */
+  var resolveModelAndView = function (target, source, complete) {
+    target.viewName = source.viewName;
+    target.status = source.status;
+    target.sendRedirect(source.getRedirect());
+
+    source.model.wait(function () {
+      target.model.data = source.model.data;
+      target.model.options = source.model.options;
+      target.model.redirect(source.model.getRedirect());
+
+      try {
+        if (complete) {
+          complete();
+        }
+      } catch (cause) {
+        target.model.error(cause);
+        return;
+      }
+      target.model.success();
+    }, function (cause) {
+      target.model.data = source.model.data;
+      target.model.error(cause);
+    });
+  };
+
+  /** Closes the transaction once the model is ready. The transaction is
+   * committed before the model is exposed to the request handler, so commit
+   * failures are handled as errors. Streaming models are exposed while they
+   * run, so the transaction is committed once the stream finishes and
+   * commit failures are only logged.
+   *
+   * @param {WebModules.ModelAndView} mav Model and view resolved from the
+   *   command result. Cannot be null.
+   * @param {Object} transactionManager Transaction manager. Cannot be null.
+   * @param {Object} transaction Open transaction. Cannot be null.
+   * @return {WebModules.ModelAndView} The model and view to expose to the
+   *   request handler. Never returns null.
+   * @private
+   * @methodOf WebModules.CommandController#
+   */
+  var closeTransaction = function (mav, transactionManager, transaction) {
+    var target;
+
+    var commit = function () {
+      try {
+        transactionManager.commit(transaction);
+      } catch (cause) {
+        transactionManager.rollback(transaction, cause);
+        throw cause;
+      }
+    };
+
+    var rollback = function (cause) {
+      transactionManager.rollback(transaction, cause);
+    };
+
+    if (mav.model.isStreaming()) {
+      mav.model.wait(function () {
+        try {
+          commit();
+        } catch (cause) {
+          LOG.error("Error committing stream transaction: " + cause);
+        }
+      }, rollback);
+
+      return mav;
+    }
+
+    target = new WebModules.ModelAndView(null,
+      new WebModules.Model().defer());
+    mav.model.wait(null, rollback);
+    resolveModelAndView(target, mav, commit);
+
+    return target;
+  };
+
+  /** Returns the values bound to the command.
+   * @param {Object} command Command to read values from. Cannot be null.
+   * @param {WebModules.ObjectDataBinder} binder Binder used to bind the
+   *   command. Cannot be null.
+   * @return {Object} An object with the command properties, excluding
+   *   methods and the properties excluded from binding, like services.
+   *   Never returns null.
+   * @private
+   * @methodOf WebModules.CommandController#
+   */
+  var getValues = function (command, binder) {
+    var values = {};
+    var property;
+
+    for (property in command) {
+      if (command.hasOwnProperty(property) &&
+          typeof command[property] !== "function" &&
+          !binder.isExcluded(property)) {
+        values[property] = command[property];
+      }
+    }
+    return values;
+  };
+
+  /** Validates the command after data binding.
+   *
+   * @param {Object} command Command to validate. Cannot be null.
+   * @param {WebModules.ObjectDataBinder} binder Binder used to bind the
+   *   command. Cannot be null.
+   * @return {WebModules.Errors} The binding and validation errors. Never
+   *   returns null.
+   * @private
+   * @methodOf WebModules.CommandController#
+   */
+  var validate = function (command, binder) {
+    var errors = new WebModules.Errors();
+
+    binder.getErrors().forEach(function (error) {
+      errors.reject(error.field, error.code, error.message, {
+        value: error.value
+      });
+    });
+
+    if (typeof command.getConstraints === "function") {
+      new WebModules.Validator(command.getConstraints())
+        .validate(command, errors);
+    }
+    if (typeof command.validate === "function") {
+      command.validate(errors);
+    }
+
+    return errors;
+  };
+
+  /** Wraps the command result into a model and view.
+   *
+   * @param {Object} result Command result. Can be null.
+   * @return {WebModules.ModelAndView} The model and view for the result.
+   *   Never returns null.
+   * @private
+   * @methodOf WebModules.CommandController#
+   */
+  var createModelAndView = function (result) {
+    var mav;
+
+    if (result instanceof WebModules.ModelAndView) {
+      mav = result;
+      mav.viewName = mav.viewName || viewName;
+    } else if (result instanceof WebModules.Model) {
+      mav = new WebModules.ModelAndView(viewName, result);
+    } else if (result instanceof WebModules.Redirect) {
+      mav = new WebModules.ModelAndView();
+      mav.sendRedirect(result);
+    } else if (isThenable(result)) {
+      mav = new WebModules.ModelAndView(viewName,
+        new WebModules.Model().defer());
+
+      result.then(function (value) {
+        resolveModelAndView(mav, createModelAndView(value));
+      }, function (cause) {
+        mav.model.error(cause);
+      });
+    } else {
+      mav = new WebModules.ModelAndView(viewName,
+        new WebModules.Model(result));
+    }
+
+    return mav;
+  };
+
   return {
     /** Determines whether this controller can handle the request or not.
      *
@@ -117,34 +353,78 @@ WebModules.CommandController = function (createCommand, viewName, options) {
      */
     handle: function (request, response) {
       var command = createCommand(request, response);
-      var binder = new WebModules.ObjectDataBinder(command);
-      var result;
-      var mav;
+      var params = [];
 
       // Bind available data, in any.
       if (config.bindRouteParams) {
-        binder.bind(request.params);
+        params.push(request.params);
       }
       if (config.bindRequestParams) {
-        binder.bind(request.query);
+        params.push(request.query);
       }
       if (config.bindRequestBody) {
-        binder.bind(request.body);
+        params.push(request.body);
       }
       if (config.bindCookies) {
-        binder.bind(request.cookies);
+        params.push(request.cookies);
+      }
+
+      return this.process(command, params, this.handleInternal
+        .bind(this, request, response, command));
+    },
+
+    /** Injects services into the command, binds the parameters and executes
+     * it. If there's a transaction manager, the injection, the binding and
+     * the execution run within a transaction.
+     *
+     * @param {Object} command Command to execute. Cannot be null.
+     * @param {Object[]} params List of parameters objects to bind, in order
+     *   of precedence. Cannot be null.
+     * @param {Function} execute Function that executes the command and
+     *   returns the command result. Cannot be null.
+     *
+     * @return {WebModules.ModelAndView} Object that provides information to
+     *   the rendering strategy. Never returns null.
+     * @methodOf WebModules.CommandController#
+     */
+    process: function (command, params, execute) {
+      var binder = new WebModules.ObjectDataBinder(command);
+      var transactionManager = config.transactionManager;
+      var transaction = null;
+      var errors;
+      var result;
+      var mav;
+
+      if (transactionManager) {
+        transaction = transactionManager.begin();
+      }
+
+      try {
+        if (config.services) {
+          config.services.inject(command).forEach(function (property) {
+            binder.exclude(property);
+          });
+        }
+        binder.bind.apply(binder, params);
+        errors = validate(command, binder);
+
+        if (errors.hasErrors()) {
+          result = new WebModules.Model(getValues(command, binder))
+            .error(new WebModules.ValidationError(errors));
+        } else {
+          result = execute();
+        }
+      } catch (cause) {
+        if (transaction) {
+          transactionManager.rollback(transaction, cause);
+        }
+        throw cause;
       }
 
-      result = this.handleInternal(request, response, command);
+      mav = createModelAndView(result);
 
-      if (result instanceof WebModules.Model) {
-        mav = new WebModules.ModelAndView(viewName, result);
-      } else if (result instanceof WebModules.Redirect) {
-        mav = new WebModules.ModelAndView();
-        mav.sendRedirect(result);
-      } else {
-        mav = new WebModules.ModelAndView(viewName,
-          new WebModules.Model(result));
+      if (transaction) {
+        mav = closeTransaction(mav, transactionManager, transaction);
       }
 
       return mav;
@@ -0,0 +1,177 @@
+/** Flash store that keeps flash attributes in a cookie. It's the default
+ * store, so no session service is required.
+ * <p>
+ * Flash stores keep the flash attributes of a {@link WebModules.Redirect}
+ * until the next view is rendered. They must implement the following
+ * methods:
+ * <ul>
+ *   <li><code>save(req, res, attributes)</code>: keeps the attributes for
+ *     the next request.</li>
+ *   <li><code>load(req, res)</code>: returns the attributes kept by a
+ *     previous request, or null if there're no attributes, and discards
+ *     them.</li>
+ * </ul>
+ * </p>
+ * <p>
+ * Attributes are written as JSON, so they must be serializable and small
+ * enough to fit in a cookie. Clients can read them, but the cookie is signed
+ * with an HMAC, so attributes modified by clients are discarded. The secret is
+ * the store secret, the cookie parser secret or else a random secret of this
+ * store; applications that run several processes must configure a secret.
+ * </p>
+ *
+ * @param {Object} [options] Store options. Can be null.
+ * @param {String} [options.name] Cookie name. Default is
+ *   <code>flash</code>.
+ * @param {String} [options.path] Cookie path. Default is <code>/</code>.
+ * @param {String} [options.secret] Secret to sign the cookie. Default is the
+ *   secret of the cookie parser, if any.
+ * @constructor
+ */
+WebModules.CookieFlashStore = function (options) {
+
+  /** Default logger.
+   * @private
+   */
+  var LOG = require('winston');
+
+  /** Node crypto API.
+   * @private
+   * @fieldOf WebModules.CookieFlashStore#
+   */
+  var crypto = require("crypto");
+
+  /** Store configuration.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.CookieFlashStore#
+   */
+  var config = WebModules.extend({
+    name: "flash",
+    path: "/",
+    secret: null
+  }, options || {});
+
+  /** Secret used if neither the store nor the cookie parser have one.
+   * @type String
+   * @private
+   * @fieldOf WebModules.CookieFlashStore#
+   */
+  var randomSecret = crypto.randomBytes(32).toString("hex");
+
+  /** Computes the signature of a cookie value.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @param {String} value Value to sign. Cannot be null.
+   * @return {String} The value signature. Never returns null.
+   * @private
+   * @methodOf WebModules.CookieFlashStore#
+   */
+  var sign = function (req, value) {
+    return crypto.createHmac("sha256", config.secret || req.secret ||
+      randomSecret).update(value).digest("hex");
+  };
+
+  /** Reads the signed value of the flash cookie.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @param {String} value Cookie value. Cannot be null.
+   * @return {String} The value without the signature, or null if the
+   *   signature isn't valid.
+   * @private
+   * @methodOf WebModules.CookieFlashStore#
+   */
+  var unsign = function (req, value) {
+    var index = value.lastIndexOf(".");
+    var payload = value.substr(0, index);
+    var signature = Buffer.from(value.substr(index + 1));
+    var expected = Buffer.from(sign(req, payload));
+
+    if (index === -1 || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(signature, expected)) {
+      return null;
+    }
+    return payload;
+  };
+
+  /** Reads the flash cookie value. It uses the parsed cookies if the
+   * cookie parser is available, otherwise it reads the request header.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @return {String} The cookie value, or null if there's no flash cookie or
+   *   it's malformed.
+   * @private
+   * @methodOf WebModules.CookieFlashStore#
+   */
+  var readCookie = function (req) {
+    var header = req.headers.cookie || "";
+    var value = null;
+
+    if (req.cookies && req.cookies.hasOwnProperty(config.name)) {
+      return req.cookies[config.name];
+    }
+    header.split(";").forEach(function (pair) {
+      var index = pair.indexOf("=");
+
+      if (index > -1 && pair.substr(0, index).trim() === config.name) {
+        try {
+          value = decodeURIComponent(pair.substr(index + 1).trim());
+        } catch (cause) {
+          LOG.debug("Discarding malformed flash cookie: " + cause);
+          value = null;
+        }
+      }
+    });
+
+    return value;
+  };
+
+  return {
+    /** Writes the flash attributes into the response cookie.
+     *
+     * @param {Object} req Current request. Cannot be null.
+     * @param {Object} res Current response. Cannot be null.
+     * @param {Object} attributes Flash attributes. Cannot be null.
+     * @methodOf WebModules.CookieFlashStore#
+     */
+    save: function (req, res, attributes) {
+      var value = JSON.stringify(attributes);
+
+      res.cookie(config.name, value + "." + sign(req, value), {
+        path: config.path,
+        httpOnly: true
+      });
+    },
+
+    /** Reads the flash attributes from the request cookie and removes the
+     * cookie. Attributes with an invalid signature are discarded.
+     *
+     * @param {Object} req Current request. Cannot be null.
+     * @param {Object} res Current response. Cannot be null.
+     * @return {Object} The flash attributes, or null if there're no
+     *   attributes.
+     * @methodOf WebModules.CookieFlashStore#
+     */
+    load: function (req, res) {
+      var value = readCookie(req);
+
+      if (!value) {
+        return null;
+      }
+      res.clearCookie(config.name, { path: config.path });
+      value = unsign(req, String(value));
+
+      if (value === null) {
+        LOG.debug("Discarding flash attributes with an invalid signature.");
+        return null;
+      }
+
+      try {
+        return JSON.parse(value);
+      } catch (cause) {
+        LOG.debug("Discarding invalid flash attributes: " + cause);
+        return null;
+      }
+    }
+  };
+};
@@ -1,8 +1,23 @@
 /** Agent to deploy modules from a file system directory.
  * <p>
- * If a module deployment fails, the module root path will be registered as
+ * Module directories can have a <code>module.json</code> manifest with the
+ * module <code>name</code>, <code>version</code>, <code>contextPath</code>,
+ * the <code>dependencies</code> list with the names of the modules it depends
+ * on and the <code>enabled</code> flag. By default the name is the directory
+ * name and the context path is the name between slashes. Modules are deployed
+ * in dependency order, and modules with missing or failed dependencies are not
+ * deployed.
+ * </p>
+ * <p>
+ * If a module deployment fails, the module context path will be registered as
  * route and it will send an error 500 to clients by default.
  * </p>
+ * <p>
+ * In watch mode the agent polls the root directory and redeploys modules as
+ * they're added, changed or removed, without restarting the process.
+ * Modules registered while a module directory is loaded are unregistered
+ * before the new version is deployed.
+ * </p>
  *
  * @param {String} rootDir Directory from which modules will be loaded. Cannot
  *   be null or empty.
@@ -11,6 +26,8 @@
  *   deploying a module. It takes the module path; the exception; the request,
  *   if any, and the response as last parameter, if any. If this callback is
  *   specified it's responsible of managing the error and send the response.
+ * @param {Number} [options.watchInterval] Time in milliseconds between checks
+ *   for changes in watch mode. Default is 1000.
  * @constructor
  */
 WebModules.DeploymentAgent = function (rootDir, options) {
@@ -20,6 +37,18 @@ WebModules.DeploymentAgent = function (rootDir, options) {
    */
   var LOG = require('winston');
 
+  /** Name of the file that describes a module in the module directory.
+   * @constant
+   * @private
+   */
+  var MANIFEST_FILE = "module.json";
+
+  /** Default time between checks for changes, in milliseconds.
+   * @constant
+   * @private
+   */
+  var DEFAULT_WATCH_INTERVAL = 1000;
+
   /** Node path API.
    * @private
    */
@@ -30,22 +59,65 @@ WebModules.DeploymentAgent = function (rootDir, options) {
    */
   var fs = require("fs");
 
+  /** Global module manager.
+   * @private
+   */
+  var ModuleManager = require("node-web-modules").ModuleManager;
+
   /** ExpressJS context application.
    * @private
    */
-  var app = require("node-web-modules").ModuleManager.app();
+  var app = ModuleManager.app();
+
+  /** Deployed modules, by module path. Each deployment has the module
+   * <code>manifest</code>, the <code>signature</code> of the module files,
+   * the list of registered <code>modules</code> and the deployment
+   * <code>error</code>, if any.
+   * @type Object
+   * @private
+   */
+  var deployments = {};
+
+  /** Indicates whether the route for failed modules is already registered.
+   * @type Boolean
+   * @private
+   */
+  var errorRouteRegistered = false;
+
+  /** Timer that checks for changes in watch mode. It's null if the agent
+   * isn't watching the root directory.
+   * @type Object
+   * @private
+   */
+  var watchTimer = null;
 
-  /** List modules in the root directory and passes each module to a callback.
-   * @param {Function} callback Function to notify every module. Cannot be null.
+  /** Indicates whether the agent is checking for changes.
+   * @type Boolean
+   * @private
+   */
+  var scanning = false;
+
+  /** List modules in the root directory.
+   * @param {Function} callback Function that takes the list of modules. Each
+   *   module has the <code>path</code> and the <code>name</code>. Cannot be
+   *   null.
+   * @param {Function} [errorCallback] Function invoked if the root directory
+   *   cannot be read. If it isn't specified, the error is thrown.
    * @private
    * @methodOf WebModules.DeploymentAgent#
    */
-  var listModules = function (callback) {
+  var listModules = function (callback, errorCallback) {
     var modulesRootDir = path.normalize(rootDir);
 
     fs.readdir(modulesRootDir, function (err, files) {
+      var modules = [];
+
       if (err) {
         LOG.error("Error listing directory: " + modulesRootDir);
+
+        if (errorCallback) {
+          return errorCallback(err);
+        }
         throw err;
       }
 
@@ -54,32 +126,496 @@ WebModules.DeploymentAgent = function (rootDir, options) {
         var modulePath = path.join(modulesRootDir, files[i]);
 
         if (file.isDirectory()) {
-          callback(modulePath, files[i]);
+          modules.push({
+            path: modulePath,
+            name: files[i]
+          });
+        }
+      }
+      callback(modules);
+    });
+  };
+
+  /** Computes a signature of the module files. The signature changes if any
+   * file is added, changed or removed. Dependencies in
+   * <code>node_modules</code> and hidden files are ignored.
+   *
+   * @param {String} modulePath Module directory. Cannot be null.
+   * @return {String} The module signature. Never returns null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var getSignature = function (modulePath) {
+    var signature = [];
+
+    var walk = function (dir) {
+      fs.readdirSync(dir).sort().forEach(function (fileName) {
+        var filePath = path.join(dir, fileName);
+        var stats;
+
+        if (fileName.indexOf(".") === 0 || fileName === "node_modules") {
+          return;
+        }
+        stats = fs.statSync(filePath);
+
+        if (stats.isDirectory()) {
+          walk(filePath);
+        } else {
+          signature.push(filePath + ":" + stats.size + ":" +
+            stats.mtime.getTime());
+        }
+      });
+    };
+
+    try {
+      walk(modulePath);
+    } catch (cause) {
+      // The module is being modified, it'll be checked again.
+      signature.push(String(cause));
+    }
+    return signature.join("\n");
+  };
+
+  /** Registers the route that handles requests to failed modules. It
+   * delegates to the next route if the module isn't failed.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var registerErrorRoute = function () {
+    if (errorRouteRegistered) {
+      return;
+    }
+    errorRouteRegistered = true;
+
+    app.all("*", function (req, res, next) {
+      var modulePath;
+      var deployment;
+
+      for (modulePath in deployments) {
+        if (deployments.hasOwnProperty(modulePath)) {
+          deployment = deployments[modulePath];
+
+          if (deployment.error &&
+              req.path.indexOf(deployment.manifest.contextPath) === 0) {
+            if (options && options.error) {
+              return options.error(modulePath, deployment.error, req, res);
+            }
+            throw deployment.error;
+          }
         }
       }
+      next();
+    });
+  };
+
+  /** Removes a module from the require cache, so the next time it's
+   * required the module files are loaded again.
+   *
+   * @param {String} modulePath Module directory. Cannot be null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var clearRequireCache = function (modulePath) {
+    var prefix = path.resolve(modulePath) + path.sep;
+
+    LOG.info("Clearing require cache for module: " + modulePath);
+
+    Object.keys(require.cache).forEach(function (file) {
+      if (file.indexOf(prefix) === 0) {
+        delete require.cache[file];
+      }
+    });
+  };
+
+  /** Returns the default manifest of a module directory.
+   *
+   * @param {String} moduleName Module directory name. Cannot be null.
+   * @return {Object} The default manifest. Never returns null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var getDefaultManifest = function (moduleName) {
+    return {
+      name: moduleName,
+      version: null,
+      contextPath: "/" + moduleName + "/",
+      dependencies: [],
+      enabled: true
+    };
+  };
+
+  /** Reads the manifest of a module directory. Properties that aren't
+   * declared in the manifest are taken from the default manifest.
+   *
+   * @param {String} modulePath Module directory. Cannot be null.
+   * @param {String} moduleName Module directory name. Cannot be null.
+   * @return {Object} The module manifest. Never returns null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var readManifest = function (modulePath, moduleName) {
+    var manifestFile = path.join(modulePath, MANIFEST_FILE);
+    var manifest = {};
+
+    if (fs.existsSync(manifestFile)) {
+      manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    }
+
+    return WebModules.extend(getDefaultManifest(moduleName), manifest);
+  };
+
+  /** Determines whether a module is successfully deployed.
+   *
+   * @param {String} name Module name, as it's declared in the manifest.
+   *   Cannot be null.
+   * @return {Boolean} true if the module is deployed and it didn't fail,
+   *   false otherwise.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var isDeployed = function (name) {
+    var modulePath;
+    var deployment;
+
+    for (modulePath in deployments) {
+      if (deployments.hasOwnProperty(modulePath)) {
+        deployment = deployments[modulePath];
+
+        if (deployment.manifest.name === name && !deployment.error &&
+            deployment.manifest.enabled) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  /** Sorts modules so dependencies are deployed before the modules that
+   * depend on them. Modules with circular dependencies are rejected.
+   *
+   * @param {Object[]} candidates Modules to sort. Each module has the
+   *   <code>path</code>, the <code>manifest</code> and the
+   *   <code>error</code> found reading the manifest, if any. Cannot be null.
+   * @return {Object[]} The sorted list of modules. Never returns null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var sortByDependencies = function (candidates) {
+    var sorted = [];
+    var visiting = [];
+
+    var visit = function (candidate) {
+      if (sorted.indexOf(candidate) > -1) {
+        return;
+      }
+      if (visiting.indexOf(candidate) > -1) {
+        candidate.error = new Error("Circular dependency in module " +
+          candidate.manifest.name);
+        return;
+      }
+      visiting.push(candidate);
+
+      [].concat(candidate.manifest.dependencies).forEach(function (name) {
+        candidates.forEach(function (dependency) {
+          if (dependency.manifest.name === name) {
+            visit(dependency);
+          }
+        });
+      });
+      sorted.push(candidate);
+    };
+
+    candidates.forEach(visit);
+
+    return sorted;
+  };
+
+  /** Loads a module directory and registers its modules.
+   *
+   * @param {Object} candidate Module to deploy. It has the <code>path</code>,
+   *   the <code>manifest</code> and the <code>error</code> that prevents the
+   *   module from being deployed, if any. Cannot be null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var deployModule = function (candidate) {
+    var modulePath = candidate.path;
+    var existingModules = ModuleManager.getModules();
+    var deployment = {
+      manifest: candidate.manifest,
+      signature: getSignature(modulePath),
+      modules: [],
+      error: candidate.error || null
+    };
+
+    deployments[modulePath] = deployment;
+
+    if (!deployment.manifest.enabled) {
+      LOG.info("Module disabled: " + modulePath);
+      return;
+    }
+
+    LOG.info("Deploying module: " + modulePath);
+
+    try {
+      if (deployment.error) {
+        throw deployment.error;
+      }
+      require(modulePath);
+      LOG.info("Module deployed: " + modulePath);
+    } catch (cause) {
+      LOG.error("Error loading module: " + modulePath + ": " + cause);
+
+      deployment.error = cause;
+      registerErrorRoute();
+    }
+
+    // Keeps track of modules registered by the module directory.
+    deployment.modules = ModuleManager.getModules().filter(function (module) {
+      return existingModules.indexOf(module) === -1;
+    });
+  };
+
+  /** Deploys a list of modules in dependency order. Modules whose
+   * dependencies are missing, disabled or failed are rejected.
+   *
+   * @param {Object[]} modules Modules to deploy. Each module has the
+   *   <code>path</code> and the directory <code>name</code>. Cannot be null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var deployModules = function (modules) {
+    var candidates = modules.map(function (module) {
+      var candidate = {
+        path: module.path,
+        manifest: null,
+        error: null
+      };
+
+      try {
+        candidate.manifest = readManifest(module.path, module.name);
+      } catch (cause) {
+        LOG.error("Invalid manifest in module: " + module.path);
+
+        candidate.manifest = getDefaultManifest(module.name);
+        candidate.error = cause;
+      }
+      return candidate;
+    });
+
+    sortByDependencies(candidates).forEach(function (candidate) {
+      var missing = [].concat(candidate.manifest.dependencies)
+        .filter(function (name) {
+          return !isDeployed(name);
+        });
+
+      if (!candidate.error && missing.length > 0) {
+        candidate.error = new Error("Module " + candidate.manifest.name +
+          " has missing or failed dependencies: " + missing.join(", "));
+      }
+      deployModule(candidate);
+    });
+  };
+
+  /** Unregisters the modules registered by a module directory.
+   *
+   * @param {String} modulePath Module directory. Cannot be null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var undeployModule = function (modulePath) {
+    var deployment = deployments[modulePath];
+
+    LOG.info("Undeploying module: " + modulePath);
+
+    deployment.modules.forEach(function (module) {
+      if (ModuleManager.getModules().indexOf(module) === -1) {
+        LOG.debug("Module " + module.getContextPath() + " is already " +
+          "unregistered.");
+        return;
+      }
+      try {
+        ModuleManager.unregister(module);
+      } catch (cause) {
+        LOG.error("Error unregistering module " + module.getContextPath() +
+          ": " + cause);
+      }
+    });
+    delete deployments[modulePath];
+
+    clearRequireCache(modulePath);
+  };
+
+  /** Returns the paths of deployed modules that depend, directly or not, on
+   * any of the specified modules.
+   *
+   * @param {String[]} modulePaths Paths of the modules to check. Cannot be
+   *   null.
+   * @return {String[]} The paths of the dependent modules. Never returns
+   *   null.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var getDependents = function (modulePaths) {
+    var dependents = [];
+    var names = modulePaths.map(function (modulePath) {
+      return deployments[modulePath].manifest.name;
+    });
+    var found = true;
+    var modulePath;
+    var deployment;
+
+    while (found) {
+      found = false;
+
+      for (modulePath in deployments) {
+        if (deployments.hasOwnProperty(modulePath) &&
+            modulePaths.indexOf(modulePath) === -1 &&
+            dependents.indexOf(modulePath) === -1) {
+          deployment = deployments[modulePath];
+
+          if ([].concat(deployment.manifest.dependencies).some(function (name) {
+              return names.indexOf(name) > -1;
+            })) {
+            dependents.push(modulePath);
+            names.push(deployment.manifest.name);
+            found = true;
+          }
+        }
+      }
+    }
+    return dependents;
+  };
+
+  /** Checks the root directory for added, changed and removed modules and
+   * redeploys them. Modules that depend on changed or removed modules are
+   * also redeployed, and failed modules are deployed again if there's any
+   * change.
+   * @private
+   * @methodOf WebModules.DeploymentAgent#
+   */
+  var scan = function () {
+    if (scanning) {
+      return;
+    }
+    scanning = true;
+
+    listModules(function (modules) {
+      var modulePaths = modules.map(function (module) {
+        return module.path;
+      });
+      var undeployed = [];
+      var modulePath;
+
+      try {
+        modules.forEach(function (module) {
+          var deployment = deployments[module.path];
+
+          if (!deployment) {
+            LOG.info("Module added: " + module.path);
+            undeployed.push(module.path);
+          } else if (deployment.signature !== getSignature(module.path)) {
+            LOG.info("Module changed: " + module.path);
+            undeployed.push(module.path);
+          }
+        });
+        for (modulePath in deployments) {
+          if (deployments.hasOwnProperty(modulePath) &&
+              modulePaths.indexOf(modulePath) === -1) {
+            LOG.info("Module removed: " + modulePath);
+            undeployed.push(modulePath);
+          }
+        }
+
+        if (undeployed.length > 0) {
+          undeployed = undeployed.concat(getDependents(undeployed
+            .filter(function (modulePath) {
+              return deployments.hasOwnProperty(modulePath);
+            })));
+
+          for (modulePath in deployments) {
+            if (deployments.hasOwnProperty(modulePath) &&
+                deployments[modulePath].error &&
+                undeployed.indexOf(modulePath) === -1) {
+              undeployed.push(modulePath);
+            }
+          }
+          undeployed.forEach(function (modulePath) {
+            if (deployments.hasOwnProperty(modulePath)) {
+              undeployModule(modulePath);
+            }
+          });
+          deployModules(modules.filter(function (module) {
+            return undeployed.indexOf(module.path) > -1;
+          }));
+        }
+      } finally {
+        scanning = false;
+      }
+    }, function () {
+      scanning = false;
     });
   };
 
   return {
     /** Reads the root directory and tries to load all modules.
+     * @param {Function} [callback] Function invoked once modules are
+     *   deployed. Can be null.
      * @methodOf WebModules.DeploymentAgent#
      */
-    deploy: function () {
-      listModules(function (modulePath, moduleName) {
-        try {
-          require(modulePath);
-        } catch (cause) {
-          LOG.error("Error loading module: " + modulePath);
-
-          app.all("/" + moduleName + "/*", function (req, res) {
-            if (options && options.error) {
-              options.error(modulePath, cause, req, res);
-            } else {
-              throw cause;
-            }
-          });
+    deploy: function (callback) {
+      listModules(function (modules) {
+        deployModules(modules);
+
+        if (callback) {
+          callback();
         }
       });
+    },
+
+    /** Returns the deployed modules directories.
+     *
+     * @return {Object[]} The list of deployments. Each deployment has the
+     *   module directory <code>path</code>, the <code>manifest</code>, the
+     *   registered <code>modules</code> and the deployment
+     *   <code>error</code>, if any. Never returns null.
+     * @methodOf WebModules.DeploymentAgent#
+     */
+    getDeployments: function () {
+      return Object.keys(deployments).map(function (modulePath) {
+        return {
+          path: modulePath,
+          manifest: deployments[modulePath].manifest,
+          modules: deployments[modulePath].modules.slice(),
+          error: deployments[modulePath].error
+        };
+      });
+    },
+
+    /** Deploys all modules and starts watching the root directory for
+     * changes. Added modules are deployed, changed modules are redeployed and
+     * removed modules are undeployed.
+     * @methodOf WebModules.DeploymentAgent#
+     */
+    watch: function () {
+      if (watchTimer !== null) {
+        return;
+      }
+      LOG.info("Watching modules directory: " + rootDir);
+
+      scan();
+      watchTimer = setInterval(scan, (options && options.watchInterval) ||
+        DEFAULT_WATCH_INTERVAL);
+    },
+
+    /** Stops watching the root directory. Deployed modules are not affected.
+     * @methodOf WebModules.DeploymentAgent#
+     */
+    unwatch: function () {
+      if (watchTimer !== null) {
+        clearInterval(watchTimer);
+        watchTimer = null;
+      }
     }
   };
 };
@@ -0,0 +1,93 @@
+/** Collects validation errors for the fields of an object.
+ *
+ * Commands receive an instance of this class in the <code>validate()</code>
+ * method in order to reject invalid values.
+ *
+ * @constructor
+ */
+WebModules.Errors = function () {
+
+  /** List of rejected fields, in order.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.Errors#
+   */
+  var errors = [];
+
+  return {
+    /** Rejects the value of a field.
+     *
+     * @param {String} field Path of the rejected field. Cannot be null.
+     * @param {String} code Error code that describes the failure. Cannot be
+     *   null.
+     * @param {String} [message] Default error message. If it's null, the code
+     *   is used as message.
+     * @param {Object} [args] Arguments to replace the placeholders of
+     *   translated messages. Can be null.
+     * @methodOf WebModules.Errors#
+     */
+    reject: function (field, code, message, args) {
+      errors.push({
+        field: field,
+        code: code,
+        message: message || code,
+        args: args || {}
+      });
+    },
+
+    /** Determines whether there're errors.
+     * @return {Boolean} true if any field was rejected, false otherwise.
+     * @methodOf WebModules.Errors#
+     */
+    hasErrors: function () {
+      return errors.length > 0;
+    },
+
+    /** Determines whether the specified field was rejected.
+     * @param {String} field Path of the field to check. Cannot be null.
+     * @return {Boolean} true if the field has errors, false otherwise.
+     * @methodOf WebModules.Errors#
+     */
+    hasFieldErrors: function (field) {
+      return errors.some(function (error) {
+        return error.field === field;
+      });
+    },
+
+    /** Returns all errors.
+     * @return {Object[]} List of errors. Each error has the
+     *   <code>field</code>, the error <code>code</code>, the
+     *   <code>message</code> and the message <code>args</code>. Never
+     *   returns null.
+     * @methodOf WebModules.Errors#
+     */
+    getErrors: function () {
+      return errors.slice();
+    },
+
+    /** Returns error messages grouped by field.
+     * @param {Function} [translate] Function to translate messages. It takes
+     *   the message codes, the arguments and the default message. Messages
+     *   are looked up by <code>code.field</code> and then by
+     *   <code>code</code>. Can be null.
+     * @return {Object} An object that maps each rejected field to the list
+     *   of error messages. Never returns null.
+     * @methodOf WebModules.Errors#
+     */
+    getFieldErrors: function (translate) {
+      var fieldErrors = {};
+
+      errors.forEach(function (error) {
+        if (!fieldErrors.hasOwnProperty(error.field)) {
+          fieldErrors[error.field] = [];
+        }
+        fieldErrors[error.field].push(translate ?
+          translate([error.code + "." + error.field, error.code],
+            WebModules.extend({ field: error.field }, error.args),
+            error.message) : error.message);
+      });
+
+      return fieldErrors;
+    }
+  };
+};
@@ -0,0 +1,183 @@
+/** Maps errors raised while processing a request to a response.
+ * <p>
+ * The resolver matches errors either by type or by a predicate function and
+ * it builds a <code>ModelAndView</code> with the HTTP status code and either
+ * the view to render or the JSON body to send back to the client.
+ * </p>
+ * <p>
+ * Any object that implements <code>canResolve(error)</code> and
+ * <code>resolve(error)</code> can be used as exception resolver in modules.
+ * </p>
+ *
+ * @param {Object} mapping Error mapping description. Cannot be null.
+ * @param {Function} [mapping.error] Either the error constructor or a
+ *    predicate function that takes the error and returns true if this
+ *    resolver must handle it. Constructors are functions whose prototype
+ *    inherits from <code>Error</code>. If it's null, this resolver handles
+ *    any error and it's considered the module-wide fallback.
+ * @param {Number} [mapping.status] HTTP status code sent to the client.
+ *    Default is 500.
+ * @param {String} [mapping.view] Name of the view to render. The model
+ *    contains the <code>error</code>, the error <code>message</code> and the
+ *    <code>status</code> code.
+ * @param {String} [mapping.message] Code of the translated error message.
+ *    If it's null, the error <code>code</code> is used, if any. The error
+ *    message is used when there's no translation, unless the status is a
+ *    server error: error messages may expose internal details, so a generic
+ *    message is used instead.
+ * @param {Object|Function} [mapping.body] Object sent as JSON response, or
+ *    a function that takes the error and returns the object to send. If
+ *    neither the view nor the body are specified, it sends the status code
+ *    and the error message as JSON.
+ * @constructor
+ */
+WebModules.ExceptionResolver = function (mapping) {
+
+  /** Default HTTP status code for resolved errors.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ExceptionResolver#
+   */
+  var DEFAULT_STATUS = 500;
+
+  /** Message sent for server errors that have no translated message.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ExceptionResolver#
+   */
+  var SERVER_ERROR_MESSAGE = "Internal server error.";
+
+  /** Checks constructor preconditions.
+   * @private
+   */
+  var checkPreconditions = (function () {
+    if (!mapping) {
+      throw new Error("The error mapping cannot be null.");
+    }
+    if (mapping.error && typeof mapping.error !== "function") {
+      throw new Error("The error must be either a type or a predicate.");
+    }
+    return true;
+  }());
+
+  /** HTTP status code sent to the client.
+   * @type Number
+   * @private
+   * @fieldOf WebModules.ExceptionResolver#
+   */
+  var status = mapping.status || DEFAULT_STATUS;
+
+  /** Determines whether the specified function is an error constructor.
+   * @param {Function} fn Function to check. Cannot be null.
+   * @return {Boolean} true if the function is an error type, false if it's
+   *    a predicate.
+   * @private
+   * @methodOf WebModules.ExceptionResolver#
+   */
+  var isErrorType = function (fn) {
+    return fn === Error || fn.prototype instanceof Error;
+  };
+
+  /** Resolves the message exposed to the client for the specified error.
+   * @param {Object} error Error to expose. Can be null.
+   * @param {Function} [translate] Function to translate the message. Can be
+   *   null.
+   * @return {String} The error message. Never returns null.
+   * @private
+   * @methodOf WebModules.ExceptionResolver#
+   */
+  var resolveMessage = function (error, translate) {
+    var message = (status >= 500) ? SERVER_ERROR_MESSAGE :
+      (error && error.message) || String(error);
+    var codes = [mapping.message, error && error.code].filter(function (code) {
+      return typeof code === "string";
+    });
+
+    if (!translate || codes.length === 0) {
+      return message;
+    }
+    return translate(codes, error, message);
+  };
+
+  /** Builds the model data exposed to the client for the specified error.
+   * @param {Object} error Error to expose. Can be null.
+   * @param {Function} [translate] Function to translate the error message.
+   *   Can be null.
+   * @return {Object} The model data. Never returns null.
+   * @private
+   * @methodOf WebModules.ExceptionResolver#
+   */
+  var buildData = function (error, translate) {
+    var message = resolveMessage(error, translate);
+
+    if (typeof mapping.body === "function") {
+      return mapping.body(error);
+    }
+    if (mapping.body) {
+      return mapping.body;
+    }
+    if (mapping.view) {
+      return {
+        error: error,
+        message: message,
+        status: status
+      };
+    }
+    return {
+      status: status,
+      message: message
+    };
+  };
+
+  return {
+    /** Determines whether this resolver handles the specified error.
+     *
+     * @param {Object} error Error to check. Can be null.
+     * @return {Boolean} true if the error can be resolved, false otherwise.
+     * @methodOf WebModules.ExceptionResolver#
+     */
+    canResolve: function (error) {
+      if (!mapping.error) {
+        return true;
+      }
+      if (isErrorType(mapping.error)) {
+        return error instanceof mapping.error;
+      }
+      return mapping.error(error) ? true : false;
+    },
+
+    /** Builds the response for the specified error.
+     *
+     * @param {Object} error Error to resolve. Can be null.
+     * @param {Function} [translate] Function to translate the error message.
+     *    It takes the message codes, the arguments and the default message.
+     *    Can be null.
+     * @return {WebModules.ModelAndView} The model and view to write the
+     *    response. Never returns null.
+     * @methodOf WebModules.ExceptionResolver#
+     */
+    resolve: function (error, translate) {
+      var options = {};
+      var mav;
+
+      if (!mapping.view) {
+        options.format = "json";
+      }
+      mav = new WebModules.ModelAndView(mapping.view,
+        new WebModules.Model(buildData(error, translate), options));
+      mav.status = status;
+
+      return mav;
+    },
+
+    /** Determines whether this is a module-wide fallback resolver.
+     *
+     * @return {Boolean} true if this resolver handles any error, false
+     *    otherwise.
+     * @methodOf WebModules.ExceptionResolver#
+     */
+    isDefault: function () {
+      return !mapping.error;
+    }
+  };
+};
@@ -1,10 +1,12 @@
 /** Handles requests by using Express.js.
  *
  * @param {Object} server Express application. Cannot be null.
+ * @param {WebModules.ModuleManager} [moduleManager] Manager to look up named
+ *   routes. Default is the global module manager.
  * @constructor
  * @augments WebModules.RequestHandler
  */
-WebModules.ExpressRequestHandler = function (server) {
+WebModules.ExpressRequestHandler = function (server, moduleManager) {
 
   /** Default logger.
    * @private
@@ -16,6 +18,166 @@ WebModules.ExpressRequestHandler = function (server) {
    */
   var base = new WebModules.RequestHandler(server);
 
+  /** Manager to look up named routes.
+   * @type WebModules.ModuleManager
+   * @private
+   * @fieldOf WebModules.ExpressRequestHandler#
+   */
+  var manager = moduleManager || WebModules.ModuleManager;
+
+  /** Functions registered in express to handle requests.
+   * @type Function[]
+   * @private
+   * @fieldOf WebModules.ExpressRequestHandler#
+   */
+  var handlers = [];
+
+  /** Format of responses rendered by views.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ExpressRequestHandler#
+   */
+  var HTML = "html";
+
+  /** Media types of responses rendered by views.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ExpressRequestHandler#
+   */
+  var HTML_TYPES = ["text/html", "application/xhtml+xml"];
+
+  /** Returns the format specified as extension in the request path, for
+   * instance <code>json</code> for <code>/foo.json</code>.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @return {String} The format, or null if the request path has no
+   *   extension or if it isn't a known format.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var getFormatExtension = function (req) {
+    var match = /\.([\w\-]+)$/.exec(req.path || "");
+    var extension = match ? match[1] : null;
+
+    if (extension && (extension === HTML ||
+        base.getSerializerRegistry().get(extension))) {
+      return extension;
+    }
+    return null;
+  };
+
+  /** Parses the Accept header.
+   *
+   * @param {String} header Accept header value. Can be null.
+   * @return {Object[]} The list of accepted media ranges, sorted by quality.
+   *   Each range has the media <code>type</code> and the
+   *   <code>quality</code>. Never returns null.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var parseAccept = function (header) {
+    return String(header || "").split(",").map(function (range, index) {
+      var params = range.split(";");
+      var quality = 1;
+
+      params.slice(1).forEach(function (param) {
+        var pair = param.split("=");
+
+        if (pair[0].trim() === "q") {
+          quality = parseFloat(pair[1]);
+        }
+      });
+
+      return {
+        type: params[0].trim().toLowerCase(),
+        quality: isNaN(quality) ? 0 : quality,
+        index: index
+      };
+    }).filter(function (range) {
+      return range.type && range.quality > 0;
+    }).sort(function (range, otherRange) {
+      return (otherRange.quality - range.quality) ||
+        (range.index - otherRange.index);
+    });
+  };
+
+  /** Determines whether a media range accepts the specified media type.
+   *
+   * @param {String} range Media range, for instance <code>text/*</code>.
+   *   Cannot be null.
+   * @param {String} contentType Media type to check. Cannot be null.
+   * @return {Boolean} true if the media type is accepted, false otherwise.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var accepts = function (range, contentType) {
+    return range === "*/*" || range === contentType ||
+      (range.substr(-2) === "/*" &&
+        contentType.indexOf(range.substr(0, range.length - 1)) === 0);
+  };
+
+  /** Returns the media types the specified format writes.
+   *
+   * @param {String} format Format name. Cannot be null.
+   * @return {String[]} The list of media types. Never returns null.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var getContentTypes = function (format) {
+    var serializer;
+
+    if (format === HTML) {
+      return HTML_TYPES;
+    }
+    serializer = base.getSerializerRegistry().get(format);
+
+    return serializer ? [serializer.contentType] : [];
+  };
+
+  /** Resolves the response format from the format extension in the request
+   * path or from the Accept header. XHR requests that accept any media type
+   * get JSON responses, if it's allowed.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @param {String[]} [produces] Formats allowed for the route, in order of
+   *   preference. Default is all formats, views first.
+   * @return {String} The response format, or null if the client doesn't
+   *   accept any of the allowed formats.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var negotiate = function (req, produces) {
+    var formats = produces ||
+      [HTML].concat(base.getSerializerRegistry().getFormats());
+    var extension = getFormatExtension(req);
+    var ranges = parseAccept(req.headers.accept);
+    var i;
+    var j;
+
+    if (extension) {
+      return formats.indexOf(extension) > -1 ? extension : null;
+    }
+    if (req.xhr && formats.indexOf("json") > -1 &&
+        ranges.every(function (range) {
+          return range.type === "*/*";
+        })) {
+      return "json";
+    }
+    if (ranges.length === 0) {
+      return formats[0];
+    }
+
+    for (i = 0; i < ranges.length; i++) {
+      for (j = 0; j < formats.length; j++) {
+        if (getContentTypes(formats[j]).some(accepts.bind(this,
+            ranges[i].type))) {
+          return formats[j];
+        }
+      }
+    }
+    return null;
+  };
+
   /** Searches for the specified view using the registered view resolver.
    *
    * @param {String} view Name of the required view. Cannot be null or empty.
@@ -50,6 +212,12 @@ WebModules.ExpressRequestHandler = function (server) {
    */
   var resolveViewFromRequest = function (req) {
     var viewName = req.route.params[req.route.params.length - 1] || "index";
+    var extension = getFormatExtension(req);
+
+    if (extension && viewName.substr(-extension.length - 1) ===
+        "." + extension) {
+      viewName = viewName.substr(0, viewName.length - extension.length - 1);
+    }
 
     return viewName;
   };
@@ -76,31 +244,70 @@ WebModules.ExpressRequestHandler = function (server) {
     return parsedViewname;
   };
 
-  /** Renders the view.
+  /** Merges the flash attributes kept by a previous redirect into the model
+   * data. The model data takes precedence over flash attributes with the
+   * same name. Flash attributes are discarded once they're exposed.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @param {Object} res Current response. Cannot be null.
+   * @param {Object} data Model data. Can be null.
+   * @return {Object} The data exposed to the view. Can be null.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var exposeFlashAttributes = function (req, res, data) {
+    var attributes;
+
+    if (data !== null && data !== undefined &&
+        (typeof data !== "object" || Array.isArray(data))) {
+      // Flash attributes are kept until there's a model to merge them.
+      return data;
+    }
+    attributes = manager.getFlashStore().load(req, res);
+
+    return WebModules.extend({}, attributes || {}, data);
+  };
+
+  /** Renders the view, or writes the model with the serializer of the
+   * response format. The <code>format</code> model option overrides the
+   * response format.
    *
    * @param {Object} req Current request. Cannot be null.
    * @param {Object} res Current response. Cannot be null.
    * @param {WebModules.ModelAndView} mav Model and view that contains redirect
    *   information. Cannot be null.
+   * @param {String} format Negotiated response format. Cannot be null.
    * @private
    * @methodOf WebModules.ExpressRequestHandler#
    */
-  var render = function (req, res, mav) {
+  var render = function (req, res, mav, format) {
     var data = mav.model ? mav.model.data : undefined;
     var viewName = processViewName(req, mav.viewName);
+    var responseFormat = (mav.model && mav.model.options.format) || format;
+    var serializer;
 
-    if (req.xhr) {
+    if (mav.status) {
+      res.status(mav.status);
+    }
+    if (responseFormat !== HTML) {
       if (!mav.model) {
-        throw new Error("Cannot send JSON response since there's not model.");
+        throw new Error("Cannot send " + responseFormat + " response " +
+          "since there's not model.");
+      }
+      serializer = base.getSerializerRegistry().get(responseFormat);
+
+      if (!serializer) {
+        throw new Error("There's no serializer for " + responseFormat);
       }
 
-      LOG.debug("Sending JSON to " + viewName);
-      res.json(data);
+      LOG.debug("Sending " + responseFormat + " to " + viewName);
+      res.set("Content-Type", serializer.contentType);
+      res.send(serializer.serialize(data));
     } else {
       LOG.debug("Rendering view " + viewName);
 
       res.render(lookup(viewName) || viewName, {
-        locals: data
+        locals: exposeFlashAttributes(req, res, data)
       });
     }
   };
@@ -108,36 +315,138 @@ WebModules.ExpressRequestHandler = function (server) {
   /** Redirects this request to another path.
    *
    * The redirect path can contain either request parameters, cookies,
-   * or request body fields.
+   * request body fields or model attributes. If the redirect target is a
+   * named route, the url is built from the route pattern. Flash attributes
+   * are kept by the module manager flash store.
    *
    * @param {Object} req Current request. Cannot be null.
    * @param {Object} res Current response. Cannot be null.
-   * @param {WebModules.ModelAndView} mav Model and view that contains redirect
-   *   information. Cannot be null.
+   * @param {WebModules.Redirect} redirectDescriptor Redirect to follow.
+   *   Cannot be null.
+   * @param {Object} [data] Model data to replace placeholders. Can be null.
    * @private
    * @methodOf WebModules.ExpressRequestHandler#
    */
-  var redirect = function (req, res, mav) {
-    var redirectDescriptor = mav.getRedirect();
+  var redirect = function (req, res, redirectDescriptor, data) {
     var redirectTarget = redirectDescriptor.path;
     var params = WebModules.extend({}, req.params, req.query, req.body,
-      req.cookies, redirectDescriptor.options);
+      req.cookies, typeof data === "object" ? data : {},
+      redirectDescriptor.options);
+    var route = manager.getRoute(redirectTarget);
+    var routeParams = {};
 
-    for (property in params) {
-      if (params.hasOwnProperty(property)) {
-        redirectTarget = redirectTarget.replace(":" + property,
-          params[property]);
+    if (route) {
+      route.getParamNames().forEach(function (name) {
+        routeParams[name] = params[name];
+      });
+      redirectTarget = route.expand(WebModules.extend(routeParams,
+        redirectDescriptor.options));
+    } else {
+      for (property in params) {
+        if (params.hasOwnProperty(property)) {
+          redirectTarget = redirectTarget.replace(":" + property,
+            params[property]);
+        }
       }
     }
+    if (redirectDescriptor instanceof WebModules.Redirect &&
+        redirectDescriptor.hasFlashAttributes()) {
+      manager.getFlashStore().save(req, res,
+        redirectDescriptor.flashAttributes);
+    }
     LOG.debug("Redirecting to " + redirectTarget);
 
     res.redirect(redirectDescriptor.status, redirectTarget);
   };
 
+  /** Builds the response for a command that didn't pass the validation.
+   * Views are rendered again with the bound values and the field errors
+   * exposed as <code>errors</code>. Other formats get the structured error
+   * payload instead.
+   *
+   * @param {WebModules.ValidationError} error Validation error. Cannot be
+   *   null.
+   * @param {WebModules.ModelAndView} failedModelAndView Model and view of the
+   *   failed request. Cannot be null.
+   * @param {String} format Negotiated response format. Cannot be null.
+   * @param {Function} translate Function to translate the field errors.
+   *   Cannot be null.
+   * @return {WebModules.ModelAndView} The model and view to write the
+   *   response. Never returns null.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var resolveValidationError = function (error, failedModelAndView, format,
+      translate) {
+    var modelAndView;
+
+    if (format !== HTML) {
+      modelAndView = new WebModules.ModelAndView(null,
+        new WebModules.Model(error.toPayload(translate)));
+    } else {
+      modelAndView = new WebModules.ModelAndView(failedModelAndView.viewName,
+        new WebModules.Model(WebModules.extend({},
+          failedModelAndView.model.data, {
+            errors: error.errors.getFieldErrors(translate)
+          })));
+    }
+    modelAndView.status = error.status;
+
+    return modelAndView;
+  };
+
+  /** Writes the response for an error raised while processing the request.
+   *
+   * Validation errors raised by the model are sent back to the route view,
+   * so fallback resolvers never take them. Any other error is resolved by
+   * the module exception resolvers; if there's no resolver for the error,
+   * it's passed to the next Express error handler.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @param {Object} res Current response. Cannot be null.
+   * @param {Function} next Express continuation. Cannot be null.
+   * @param {Object} error Error to handle. Can be null.
+   * @param {String} format Negotiated response format. Cannot be null.
+   * @param {WebModules.ModelAndView} [failedModelAndView] Model and view of
+   *   the request, if the error was raised by the model. Can be null.
+   * @private
+   * @methodOf WebModules.ExpressRequestHandler#
+   */
+  var handleError = function (req, res, next, error, format,
+      failedModelAndView) {
+    var translate = base.createTranslator(req.locale);
+    var modelAndView;
+
+    if (failedModelAndView && error instanceof WebModules.ValidationError) {
+      modelAndView = resolveValidationError(error, failedModelAndView,
+        format, translate);
+    } else {
+      modelAndView = base.resolveException(error, translate);
+    }
+    if (modelAndView === null) {
+      LOG.error("Unresolved error processing request: " + error);
+      return next(error);
+    }
+
+    LOG.debug("Resolving error: " + error);
+
+    req.modelAndView = modelAndView;
+
+    try {
+      render(req, res, modelAndView, format);
+    } catch (cause) {
+      next(cause);
+    }
+  };
+
   return WebModules.extend(base, {
 
     /** Maps a route to a controller. The controller is the flow control unit
-     * which builds the command that will process the request.
+     * which builds the command that will process the request. The model and
+     * view that writes the response is available as
+     * <code>req.modelAndView</code>, and the request locale is available as
+     * <code>req.locale</code>. Views can translate messages with the
+     * <code>translate(code, args)</code> helper.
      *
      * @param {String} path Route that must be matched to follow the
      *   specified controller. Cannot be null or empty.
@@ -148,7 +457,9 @@ WebModules.ExpressRequestHandler = function (server) {
      *   command constructor, it will execute the command by using a
      *   <code>WebModules.CommandController</code>.
      *
-     * @param {Object} options Options to match this route. Can be null.
+     * @param {Object} options Options to match this route. The
+     *   <code>produces</code> option restricts the response formats. Can be
+     *   null.
      * @methodOf WebModules.ExpressRequestHandler#
      */
     endpoint: function (path, handler, options) {
@@ -158,55 +469,140 @@ WebModules.ExpressRequestHandler = function (server) {
       if (typeof handler === "function") {
         // Command constructor. Uses a CommandController by default.
         controller = new WebModules.CommandController(function () {
-          return new handler();
-        });
+          return options.services ? options.services.instantiate(handler) :
+            new handler();
+        }, options.viewName, options);
       }
 
       var handleRequest = function (req, res, next) {
+        var format = negotiate(req, options.produces);
+
+        if (format === null) {
+          LOG.debug("No acceptable format for " + req.path);
+          return res.send(406);
+        }
+        req.locale = base.resolveLocale(req);
+        res.locals.locale = req.locale;
+        res.locals.translate = base.createTranslator(req.locale);
+
         // Handles the request after filters execution.
-        base.processFilters(req, res, function (cancel, error) {
+        base.processFilters(req, res, function (cancel, error,
+            executedFilters) {
           var modelAndView;
 
+          // Writes the response once the model is ready.
+          var respond = function () {
+            var model;
+            var redirectDescriptor;
+
+            try {
+              modelAndView = base.postHandle(req, res, executedFilters,
+                modelAndView);
+              req.modelAndView = modelAndView;
+              model = modelAndView.model;
+              redirectDescriptor = modelAndView.getRedirect() ||
+                (model && model.getRedirect());
+
+              if (redirectDescriptor) {
+                redirect(req, res, redirectDescriptor, model && model.data);
+              } else {
+                render(req, res, modelAndView, format);
+              }
+            } catch (cause) {
+              handleError(req, res, next, cause, format);
+            }
+          };
+
           if (error) {
-            // TODO (matias.mirabelli): Exception resolvers go here.
-            throw error;
+            return handleError(req, res, next, error, format);
           }
           if (cancel) {
             LOG.info("Request processing aborted.");
             return;
           }
 
-          if (controller) {
-            if (!controller.canHandle(req, res)) {
-              LOG.debug("Passing control to next handler for " + path);
-              return next();
-            }
+          try {
+            if (controller) {
+              if (!controller.canHandle(req, res)) {
+                LOG.debug("Passing control to next handler for " + path);
+                return next();
+              }
 
-            modelAndView = controller.handle(req, res);
-          } else {
-            modelAndView = new WebModules
-              .ModelAndView(resolveViewFromRequest(req));
+              modelAndView = controller.handle(req, res);
+            } else {
+              modelAndView = new WebModules
+                .ModelAndView(resolveViewFromRequest(req));
+            }
+          } catch (cause) {
+            return handleError(req, res, next, cause, format);
           }
 
           if (modelAndView != null) {
-            if (modelAndView.getRedirect() !== null) {
-              redirect(req, res, modelAndView);
+            if (modelAndView.model) {
+              modelAndView.model.wait(respond, function (cause) {
+                handleError(req, res, next, cause, format, modelAndView);
+              });
             } else {
-              if (modelAndView.model) {
-                modelAndView.model.wait(function () {
-                  render(req, res, modelAndView);
-                });
-              } else {
-                render(req, res, modelAndView);
-              }
+              respond();
             }
           }
         });
       };
+      // Handles requests that force the response format, for instance
+      // /foo.json. Unknown extensions are passed to the plain route, since
+      // they may be part of a route parameter.
+      var handleFormatRequest = function (req, res, next) {
+        if (getFormatExtension(req) === null) {
+          return next();
+        }
+        // The format is resolved from the path, it's not a command field.
+        delete req.params.format;
+
+        handleRequest(req, res, next);
+      };
+
       LOG.debug("Initializing route " + options.method.toUpperCase() + " " +
         path);
 
+      handlers.push(handleRequest);
+
+      if (!/[\/*]$/.test(path)) {
+        // It's registered first, otherwise route parameters would capture
+        // the extension.
+        handlers.push(handleFormatRequest);
+        verb.apply(server, [path + ".:format", handleFormatRequest]);
+      }
       verb.apply(server, [path, handleRequest]);
+    },
+
+    /** Removes all routes registered by this request handler from the
+     * express application.
+     *
+     * @methodOf WebModules.ExpressRequestHandler#
+     */
+    destroy: function () {
+      var method;
+      var routes;
+      var i;
+
+      for (method in server.routes) {
+        if (server.routes.hasOwnProperty(method)) {
+          routes = server.routes[method];
+
+          // Express keeps a reference to the routes list, so it must be
+          // modified in place.
+          for (i = routes.length - 1; i >= 0; i--) {
+            if (routes[i].callbacks.some(function (callback) {
+                return handlers.indexOf(callback) > -1;
+              })) {
+              LOG.debug("Removing route " + method.toUpperCase() + " " +
+                routes[i].path);
+              routes.splice(i, 1);
+            }
+          }
+        }
+      }
+      handlers = [];
     }
   });
 };
@@ -0,0 +1,125 @@
+/** Transaction manager that keeps transactions in memory. It's the reference
+ * implementation of the transaction manager contract and it's useful for
+ * testing.
+ * <p>
+ * Transaction managers open a transaction before the command data binding
+ * and execution, and they close it once the command result is ready. They
+ * must implement the following methods:
+ * <ul>
+ *   <li><code>begin()</code>: opens a new transaction and returns an object
+ *     that represents it.</li>
+ *   <li><code>commit(transaction)</code>: commits the specified
+ *     transaction.</li>
+ *   <li><code>rollback(transaction, cause)</code>: rolls back the specified
+ *     transaction because of the error that caused the failure.</li>
+ * </ul>
+ * </p>
+ *
+ * @constructor
+ */
+WebModules.InMemoryTransactionManager = function () {
+
+  /** Enumeration of transaction states.
+   * @namespace
+   * @private
+   * @fieldOf WebModules.InMemoryTransactionManager#
+   */
+  var Status = {
+    /** The transaction is open.
+     * @constant
+     */
+    ACTIVE: "active",
+
+    /** The transaction was successfully committed.
+     * @constant
+     */
+    COMMITTED: "committed",
+
+    /** The transaction was rolled back.
+     * @constant
+     */
+    ROLLED_BACK: "rolledBack"
+  };
+
+  /** List of transactions opened by this manager, in order.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.InMemoryTransactionManager#
+   */
+  var transactions = [];
+
+  /** Checks whether the specified transaction can be closed.
+   * @param {Object} transaction Transaction to check. Cannot be null.
+   * @private
+   * @methodOf WebModules.InMemoryTransactionManager#
+   */
+  var checkActive = function (transaction) {
+    if (transactions.indexOf(transaction) === -1) {
+      throw new Error("The transaction doesn't belong to this manager.");
+    }
+    if (transaction.status !== Status.ACTIVE) {
+      throw new Error("The transaction " + transaction.id + " is already " +
+        transaction.status + ".");
+    }
+  };
+
+  return {
+    /** Enumeration of transaction states.
+     * @fieldOf WebModules.InMemoryTransactionManager#
+     */
+    Status: Status,
+
+    /** Opens a new transaction.
+     *
+     * @return {Object} The new transaction, it contains the transaction
+     *   <code>id</code>, the <code>status</code> and the <code>cause</code>
+     *   of the rollback, if any. Never returns null.
+     * @methodOf WebModules.InMemoryTransactionManager#
+     */
+    begin: function () {
+      var transaction = {
+        id: transactions.length + 1,
+        status: Status.ACTIVE,
+        cause: null
+      };
+
+      transactions.push(transaction);
+
+      return transaction;
+    },
+
+    /** Commits the specified transaction.
+     *
+     * @param {Object} transaction Transaction to commit. It must be active.
+     *   Cannot be null.
+     * @methodOf WebModules.InMemoryTransactionManager#
+     */
+    commit: function (transaction) {
+      checkActive(transaction);
+      transaction.status = Status.COMMITTED;
+    },
+
+    /** Rolls back the specified transaction.
+     *
+     * @param {Object} transaction Transaction to roll back. It must be active.
+     *   Cannot be null.
+     * @param {Object} [cause] Error that caused the rollback. Can be null.
+     * @methodOf WebModules.InMemoryTransactionManager#
+     */
+    rollback: function (transaction, cause) {
+      checkActive(transaction);
+      transaction.status = Status.ROLLED_BACK;
+      transaction.cause = cause || null;
+    },
+
+    /** Returns the transactions opened by this manager.
+     *
+     * @return {Object[]} The list of transactions in the order they were
+     *   opened. Never returns null.
+     * @methodOf WebModules.InMemoryTransactionManager#
+     */
+    getTransactions: function () {
+      return transactions.slice();
+    }
+  };
+};
@@ -0,0 +1,172 @@
+/** Resolves the locale of a request. It's the default locale resolver.
+ * <p>
+ * The locale is taken from the query parameter, the cookie or the
+ * <code>Accept-Language</code> header, in that order. Only locales
+ * supported by the module are accepted; a language also matches its
+ * regional locales, for instance <code>es</code> matches
+ * <code>es-AR</code>. If there's no supported locale, the default locale
+ * is used.
+ * </p>
+ * <p>
+ * Any object that implements
+ * <code>resolveLocale(req, supportedLocales, defaultLocale)</code> can be
+ * used as locale resolver in modules. The request is either an Express
+ * request or, in WebSocket modules, the socket handshake; both have the
+ * <code>headers</code> and the <code>query</code>.
+ * </p>
+ *
+ * @param {Object} [options] Resolver options. Can be null.
+ * @param {String} [options.param] Query parameter that holds the locale.
+ *   Default is <code>locale</code>.
+ * @param {String} [options.cookie] Cookie that holds the locale. Default is
+ *   <code>locale</code>.
+ * @constructor
+ */
+WebModules.LocaleResolver = function (options) {
+
+  /** Resolver configuration.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.LocaleResolver#
+   */
+  var config = WebModules.extend({
+    param: "locale",
+    cookie: "locale"
+  }, options || {});
+
+  /** Normalizes a locale to compare it.
+   *
+   * @param {String} locale Locale to normalize. Cannot be null.
+   * @return {String} The normalized locale. Never returns null.
+   * @private
+   * @methodOf WebModules.LocaleResolver#
+   */
+  var normalize = function (locale) {
+    return String(locale).trim().replace(/_/g, "-").toLowerCase();
+  };
+
+  /** Reads the locale cookie. It uses the parsed cookies if the cookie
+   * parser is available, otherwise it reads the request header.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @return {String} The cookie value, or null if there's no cookie.
+   * @private
+   * @methodOf WebModules.LocaleResolver#
+   */
+  var readCookie = function (req) {
+    var header = (req.headers && req.headers.cookie) || "";
+    var value = null;
+
+    if (req.cookies && req.cookies.hasOwnProperty(config.cookie)) {
+      return req.cookies[config.cookie];
+    }
+    header.split(";").forEach(function (pair) {
+      var index = pair.indexOf("=");
+
+      if (index > -1 && pair.substr(0, index).trim() === config.cookie) {
+        value = decodeURIComponent(pair.substr(index + 1).trim());
+      }
+    });
+
+    return value;
+  };
+
+  /** Parses the Accept-Language header.
+   *
+   * @param {String} header Header value. Can be null.
+   * @return {String[]} The accepted locales, sorted by quality. Never
+   *   returns null.
+   * @private
+   * @methodOf WebModules.LocaleResolver#
+   */
+  var parseAcceptLanguage = function (header) {
+    return String(header || "").split(",").map(function (range, index) {
+      var params = range.split(";");
+      var quality = 1;
+
+      params.slice(1).forEach(function (param) {
+        var pair = param.split("=");
+
+        if (pair[0].trim() === "q") {
+          quality = parseFloat(pair[1]);
+        }
+      });
+
+      return {
+        locale: params[0].trim(),
+        quality: isNaN(quality) ? 0 : quality,
+        index: index
+      };
+    }).filter(function (range) {
+      return range.locale && range.locale !== "*" && range.quality > 0;
+    }).sort(function (range, otherRange) {
+      return (otherRange.quality - range.quality) ||
+        (range.index - otherRange.index);
+    }).map(function (range) {
+      return range.locale;
+    });
+  };
+
+  /** Looks up a supported locale that matches the requested locale.
+   *
+   * @param {String} locale Requested locale. Cannot be null.
+   * @param {String[]} supportedLocales Supported locales. Cannot be null.
+   * @return {String} The matching supported locale, the requested locale if
+   *   any locale is supported, or null if there's no match.
+   * @private
+   * @methodOf WebModules.LocaleResolver#
+   */
+  var match = function (locale, supportedLocales) {
+    var requested = normalize(locale);
+    var language = requested.split("-")[0];
+    var i;
+
+    if (supportedLocales.length === 0) {
+      return locale;
+    }
+    for (i = 0; i < supportedLocales.length; i++) {
+      if (normalize(supportedLocales[i]) === requested) {
+        return supportedLocales[i];
+      }
+    }
+    for (i = 0; i < supportedLocales.length; i++) {
+      if (normalize(supportedLocales[i]).split("-")[0] === language) {
+        return supportedLocales[i];
+      }
+    }
+    return null;
+  };
+
+  return {
+    /** Resolves the locale of a request.
+     *
+     * @param {Object} req Current request. Cannot be null.
+     * @param {String[]} [supportedLocales] Locales that have messages. If
+     *   it's empty, any locale is accepted. Can be null.
+     * @param {String} [defaultLocale] Locale used if there's no supported
+     *   locale in the request. Can be null.
+     * @return {String} The request locale, or the default locale if there's
+     *   no supported locale.
+     * @methodOf WebModules.LocaleResolver#
+     */
+    resolveLocale: function (req, supportedLocales, defaultLocale) {
+      var query = req.query || {};
+      var candidates = [query[config.param], readCookie(req)]
+        .concat(parseAcceptLanguage(req.headers &&
+          req.headers["accept-language"]));
+      var locale;
+      var i;
+
+      for (i = 0; i < candidates.length; i++) {
+        if (candidates[i] && typeof candidates[i] === "string") {
+          locale = match(candidates[i], supportedLocales || []);
+
+          if (locale) {
+            return locale;
+          }
+        }
+      }
+      return defaultLocale || null;
+    }
+  };
+};
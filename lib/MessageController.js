@@ -1,11 +1,20 @@
 /** Handles WebSocket messages.
  *
+ * @param {Function} createCommand Function invoked to build a new command
+ *    object. It takes the message as parameter. Cannot be null.
+ * @param {Object} [options] Configuration options for this controller. Look
+ *    at {@link WebModules.CommandController} for supported options.
  * @augments WebModules.CommandController
  * @constructor
  */
-WebModules.MessageController = function (createCommand) {
+WebModules.MessageController = function (createCommand, options) {
 
-  return {
+  /** Base object to inherit from.
+   * @private
+   */
+  var base = new WebModules.CommandController(createCommand, null, options);
+
+  return WebModules.extend(base, {
     /** Handles a websocket message.
      * @param {Object} message Websocket message.
      * @return {WebModules.Model} Returns a model to send back.
@@ -13,17 +22,10 @@ WebModules.MessageController = function (createCommand) {
      */
     handle: function (message) {
       var command = createCommand(message);
-      var binder = new WebModules.ObjectDataBinder(command);
-      var result;
-
-      binder.bind(message);
-
-      result = command.execute();
 
-      if (result instanceof WebModules.Model === false) {
-        result = new WebModules.Model(result);
-      }
-      return result;
+      return this.process(command, [message], function () {
+        return command.execute();
+      }).model;
     }
-  };
+  });
 };
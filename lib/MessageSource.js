@@ -0,0 +1,200 @@
+/** Resolves translated messages from bundles of messages per locale.
+ * <p>
+ * Bundles are JSON files named after the locale, for instance
+ * <code>messages/en.json</code> or <code>messages/es-AR.json</code>, that
+ * map message codes to messages. Messages can have placeholders like
+ * <code>{name}</code> that are replaced by the message arguments.
+ * </p>
+ * <p>
+ * Messages are looked up in the requested locale, then in the locale
+ * language and finally in the default locale. Locales are case insensitive
+ * and they can use either hyphens or underscores.
+ * </p>
+ *
+ * @param {String} [defaultLocale] Locale used for messages that aren't
+ *   available in the requested locale. Default is <code>en</code>.
+ * @constructor
+ */
+WebModules.MessageSource = function (defaultLocale) {
+
+  /** Default logger.
+   * @private
+   */
+  var LOG = require('winston');
+
+  /** Node file system module.
+   * @private
+   * @fieldOf WebModules.MessageSource#
+   */
+  var fs = require("fs");
+
+  /** Node path module.
+   * @private
+   * @fieldOf WebModules.MessageSource#
+   */
+  var path = require("path");
+
+  /** Messages indexed by normalized locale.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.MessageSource#
+   */
+  var bundles = {};
+
+  /** Available locales as they were declared, in order.
+   * @type String[]
+   * @private
+   * @fieldOf WebModules.MessageSource#
+   */
+  var locales = [];
+
+  /** Normalizes a locale to look up bundles.
+   *
+   * @param {String} locale Locale to normalize. Cannot be null.
+   * @return {String} The normalized locale. Never returns null.
+   * @private
+   * @methodOf WebModules.MessageSource#
+   */
+  var normalize = function (locale) {
+    return String(locale).replace(/_/g, "-").toLowerCase();
+  };
+
+  /** Returns the locales to look up messages for the specified locale, in
+   * order.
+   *
+   * @param {String} [locale] Requested locale. Can be null.
+   * @return {String[]} The list of normalized locales. Never returns null.
+   * @private
+   * @methodOf WebModules.MessageSource#
+   */
+  var getCandidates = function (locale) {
+    var candidates = [];
+
+    [locale, defaultLocale].forEach(function (item) {
+      var normalized;
+
+      if (!item) {
+        return;
+      }
+      normalized = normalize(item);
+      candidates.push(normalized, normalized.split("-")[0]);
+    });
+
+    return candidates.filter(function (item, index) {
+      return candidates.indexOf(item) === index;
+    });
+  };
+
+  /** Replaces the message placeholders by the arguments.
+   *
+   * @param {String} message Message to format. Cannot be null.
+   * @param {Object} [args] Message arguments. Can be null.
+   * @return {String} The formatted message. Never returns null.
+   * @private
+   * @methodOf WebModules.MessageSource#
+   */
+  var format = function (message, args) {
+    return String(message).replace(/\{(\w+)\}/g, function (match, name) {
+      return (args && args.hasOwnProperty(name)) ? String(args[name]) :
+        match;
+    });
+  };
+
+  defaultLocale = defaultLocale || "en";
+
+  return {
+    /** Adds messages for a locale. They override existing messages with the
+     * same code.
+     *
+     * @param {String} locale Locale of the messages. Cannot be null.
+     * @param {Object} messages Messages indexed by code. Cannot be null.
+     * @methodOf WebModules.MessageSource#
+     */
+    addMessages: function (locale, messages) {
+      var key = normalize(locale);
+
+      if (!bundles.hasOwnProperty(key)) {
+        bundles[key] = {};
+        locales.push(locale);
+      }
+      WebModules.extend(bundles[key], messages);
+    },
+
+    /** Loads the bundles of a directory. Each JSON file in the directory is
+     * the bundle of the locale named as the file.
+     *
+     * @param {String} messagePath Directory that contains the bundles. Cannot
+     *   be null.
+     * @methodOf WebModules.MessageSource#
+     */
+    addMessagePath: function (messagePath) {
+      var source = this;
+
+      fs.readdirSync(messagePath).sort().forEach(function (fileName) {
+        var file = path.join(messagePath, fileName);
+
+        if (path.extname(fileName) !== ".json") {
+          return;
+        }
+        LOG.debug("Loading messages from " + file);
+
+        source.addMessages(path.basename(fileName, ".json"),
+          JSON.parse(fs.readFileSync(file, "utf8")));
+      });
+    },
+
+    /** Returns the locales that have messages.
+     *
+     * @return {String[]} The list of locales, in order of registration. Never
+     *   returns null.
+     * @methodOf WebModules.MessageSource#
+     */
+    getLocales: function () {
+      return locales.slice();
+    },
+
+    /** Returns the locale used when messages aren't available in the
+     * requested locale.
+     *
+     * @return {String} The default locale. Never returns null.
+     * @methodOf WebModules.MessageSource#
+     */
+    getDefaultLocale: function () {
+      return defaultLocale;
+    },
+
+    /** Resolves a message.
+     *
+     * @param {String|String[]} codes Code of the message, or list of codes
+     *   to try in order. Cannot be null.
+     * @param {Object} [args] Message arguments. Can be null.
+     * @param {String} [locale] Requested locale. Default is the default
+     *   locale.
+     * @param {String} [defaultMessage] Message returned if there's no message
+     *   for any of the codes. Default is the first code.
+     * @return {String} The message. Never returns null.
+     * @methodOf WebModules.MessageSource#
+     */
+    getMessage: function (codes, args, locale, defaultMessage) {
+      var candidates = getCandidates(locale);
+      var codeList = [].concat(codes);
+      var bundle;
+      var i;
+      var j;
+
+      for (i = 0; i < candidates.length; i++) {
+        bundle = bundles[candidates[i]] || {};
+
+        for (j = 0; j < codeList.length; j++) {
+          if (bundle.hasOwnProperty(codeList[j])) {
+            return format(bundle[codeList[j]], args);
+          }
+        }
+      }
+      if (defaultMessage !== undefined && defaultMessage !== null) {
+        return defaultMessage;
+      }
+      return String(codeList[0]);
+    }
+  };
+};
@@ -0,0 +1,141 @@
+/** Sends messages to WebSocket clients from any command, for instance to
+ * notify a dashboard once an order is created by an Express command.
+ * <p>
+ * The service is scoped to a module: it can reach namespaces under the
+ * module context path and namespaces of WebSocket modules that grant access
+ * to the module through the <code>grantMessaging</code> configuration
+ * option. Commands inject it as the <code>messaging</code> module service.
+ * </p>
+ *
+ * @param {WebModules.ModuleManager} moduleManager Manager that provides the
+ *   socket.io server and the registered modules. Cannot be null.
+ * @param {WebModules.Module} module Module that sends messages. Cannot be
+ *   null.
+ * @constructor
+ */
+WebModules.MessagingService = function (moduleManager, module) {
+
+  /** Default logger.
+   * @private
+   */
+  var LOG = require('winston');
+
+  /** Determines whether a namespace belongs to a context path. The root
+   * context path only owns the root namespace, otherwise it would reach every
+   * namespace.
+   *
+   * @param {String} namespace Namespace path. Cannot be null.
+   * @param {String} contextPath Module context path. Cannot be null.
+   * @return {Boolean} true if the namespace is under the context path, false
+   *   otherwise.
+   * @private
+   * @methodOf WebModules.MessagingService#
+   */
+  var isUnder = function (namespace, contextPath) {
+    var basePath = contextPath.replace(/\/$/, "");
+
+    if (basePath === "") {
+      return namespace === "" || namespace === "/";
+    }
+    return namespace === basePath || namespace.indexOf(basePath + "/") === 0;
+  };
+
+  /** Determines whether the module can send messages to a namespace.
+   *
+   * @param {String} namespace Namespace path. Cannot be null.
+   * @return {Boolean} true if the namespace is reachable, false otherwise.
+   * @private
+   * @methodOf WebModules.MessagingService#
+   */
+  var canReach = function (namespace) {
+    var contextPath = module.getContextPath();
+
+    if (isUnder(namespace, contextPath)) {
+      return true;
+    }
+    return moduleManager.getModules().some(function (target) {
+      return target.getServerType() ===
+          WebModules.ModuleManager.ServerType.WEB_SOCKET &&
+        isUnder(namespace, target.getContextPath()) &&
+        target.isMessagingGranted(contextPath);
+    });
+  };
+
+  /** Looks up a namespace the module is allowed to send messages to.
+   *
+   * @param {String} namespace Namespace path. Cannot be null.
+   * @return {Object} The socket.io namespace, or null if there's no
+   *   namespace for the path.
+   * @throws {Error} If the module cannot send messages to the namespace.
+   * @private
+   * @methodOf WebModules.MessagingService#
+   */
+  var getNamespace = function (namespace) {
+    var server = moduleManager.websocket();
+
+    if (!canReach(namespace)) {
+      throw new Error("Module " + module.getContextPath() + " cannot send " +
+        "messages to namespace " + namespace);
+    }
+    if (!server.namespaces.hasOwnProperty(namespace)) {
+      LOG.debug("There's no WS namespace " + namespace);
+      return null;
+    }
+    return server.namespaces[namespace];
+  };
+
+  return {
+    /** Sends a message to every client connected to a namespace.
+     *
+     * @param {String} namespace Full path of the namespace. Cannot be null.
+     * @param {String} event Event to emit. Cannot be null.
+     * @param {Object} [data] Message to send. Can be null.
+     * @methodOf WebModules.MessagingService#
+     */
+    emit: function (namespace, event, data) {
+      var target = getNamespace(namespace);
+
+      if (target !== null) {
+        target.emit(event, data);
+      }
+    },
+
+    /** Sends a message to the clients of a namespace that joined a room.
+     *
+     * @param {String} namespace Full path of the namespace. Cannot be null.
+     * @param {String} room Room to send the message to. Cannot be null.
+     * @param {String} event Event to emit. Cannot be null.
+     * @param {Object} [data] Message to send. Can be null.
+     * @methodOf WebModules.MessagingService#
+     */
+    emitToRoom: function (namespace, room, event, data) {
+      var target = getNamespace(namespace);
+
+      if (target !== null) {
+        target.in(room).emit(event, data);
+      }
+    },
+
+    /** Sends a message to a single client of a namespace.
+     *
+     * @param {String} namespace Full path of the namespace. Cannot be null.
+     * @param {String} socketId Id of the client socket. Cannot be null.
+     * @param {String} event Event to emit. Cannot be null.
+     * @param {Object} [data] Message to send. Can be null.
+     * @return {Boolean} true if the client is connected, false otherwise.
+     * @methodOf WebModules.MessagingService#
+     */
+    emitToSocket: function (namespace, socketId, event, data) {
+      var target = getNamespace(namespace);
+
+      if (target === null || !target.sockets.hasOwnProperty(socketId)) {
+        LOG.debug("WS client " + socketId + " isn't connected to " +
+          namespace);
+        return false;
+      }
+      target.sockets[socketId].emit(event, data);
+
+      return true;
+    }
+  };
+};
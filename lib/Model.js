@@ -2,6 +2,10 @@
  *
  * Models are single objects that are available in the view.
  *
+ * Deferred models finish either successfully or with an error. Models are
+ * also thenables, so they can be used as Promises: they're fulfilled with the
+ * model data and rejected with the error.
+ *
  * @param {Object} [theData] Model data. Can be null.
  * @param {Object} [theOptions] Any options required by the current request
  *   handler. Can be null.
@@ -9,8 +13,9 @@
  */
 WebModules.Model = function (theData, theOptions) {
 
-  /** List of callbacks invoked once the request is finished.
-   * @type Function[]
+  /** List of listeners invoked once the request is finished. Each listener
+   * has the <code>success</code> and the <code>failure</code> callbacks.
+   * @type Object[]
    * @private
    * @memberOf WebModules.Model#
    */
@@ -25,16 +30,86 @@ WebModules.Model = function (theData, theOptions) {
    */
   var deferred = false;
 
+  /** Indicates whether the request was successfully processed.
+   * @type {Boolean}
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var succeeded = false;
+
+  /** Indicates whether the request processing failed.
+   * @type {Boolean}
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var failed = false;
+
+  /** Indicates whether this model streams updates. Streaming models can be
+   * resumed many times until the request is finished. Default is false.
+   * @type {Boolean}
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var streaming = false;
+
+  /** List of listeners invoked each time a streaming model is resumed.
+   * @type Function[]
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var resumeCallbacks = [];
+
+  /** Indicates whether the connection that receives this model is closed.
+   * @type {Boolean}
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var closed = false;
+
+  /** List of listeners invoked once the connection is closed.
+   * @type Function[]
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var closeCallbacks = [];
+
+  /** Error that caused the failure, if any.
+   * @type Object
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var failure = null;
+
+  /** Redirect to follow once the request is processed. Default is null.
+   * @type WebModules.Redirect
+   * @private
+   * @memberOf WebModules.Model#
+   */
+  var redirect = null;
+
   /** Triggers all callbacks that are waiting for the request processing.
+   * Callbacks are notified only once.
    * @private
    */
   var notify = function () {
-    var callback;
+    var pending = callbacks;
+    var listener;
     var i;
 
-    for (i = 0; i < callbacks.length; i += 1) {
-      callback = callbacks[i];
-      callback();
+    callbacks = [];
+
+    if (!failed) {
+      succeeded = true;
+    }
+
+    for (i = 0; i < pending.length; i += 1) {
+      listener = pending[i];
+
+      if (failed && listener.failure) {
+        listener.failure(failure);
+      } else if (!failed && listener.success) {
+        listener.success();
+      }
     }
   };
 
@@ -61,30 +136,222 @@ WebModules.Model = function (theData, theOptions) {
       return this;
     },
 
+    /** Defers the current request and allows to resume it many times. Each
+     * time the model is resumed, resume listeners are notified with the
+     * current data. The request is finished by either the
+     * <code>success()</code> or <code>error()</code> strategy.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    stream: function () {
+      deferred = true;
+      streaming = true;
+      return this;
+    },
+
+    /** Determines whether this model streams updates.
+     * @return {Boolean} true if <code>stream()</code> was invoked, false
+     *   otherwise.
+     * @methodOf WebModules.Model#
+     */
+    isStreaming: function () {
+      return streaming;
+    },
+
     /** Resumes the request processing if this Model object was
-     * previously deferred. It takes no action if the object isn't deferred.
+     * previously deferred. It takes no action if the object isn't deferred or
+     * if it's already finished. It's an alias of <code>success()</code>,
+     * unless the model is streaming: streaming models notify resume listeners
+     * and they're not finished.
      * @methodOf WebModules.Model#
      */
     resume: function () {
-      if (deferred) {
+      var model = this;
+
+      if (!streaming) {
+        this.success();
+      } else if (!succeeded && !failed) {
+        resumeCallbacks.slice().forEach(function (callback) {
+          callback(model.data);
+        });
+      }
+    },
+
+    /** Adds a listener that will be called each time a streaming model is
+     * resumed.
+     *
+     * @param {Function} callback Callback invoked with the model data. Cannot
+     *   be null.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    onResume: function (callback) {
+      resumeCallbacks.push(callback);
+      return this;
+    },
+
+    /** Notifies that the connection that receives this model is closed, for
+     * instance when a client disconnects from a stream. It's invoked by the
+     * request handler, and it takes no action if the model is already
+     * closed.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    close: function () {
+      var model = this;
+      var pending = closeCallbacks;
+
+      if (!closed) {
+        closed = true;
+        closeCallbacks = [];
+
+        pending.forEach(function (callback) {
+          callback(model.data);
+        });
+      }
+      return this;
+    },
+
+    /** Adds a listener that will be called once the connection that receives
+     * this model is closed. Commands use it to release the resources of a
+     * stream. If the model is already closed, the listener is called
+     * immediately.
+     *
+     * @param {Function} callback Callback invoked with the model data. Cannot
+     *   be null.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    onClose: function (callback) {
+      if (closed) {
+        callback(this.data);
+      } else {
+        closeCallbacks.push(callback);
+      }
+      return this;
+    },
+
+    /** Determines whether the connection that receives this model is closed.
+     * @return {Boolean} true if <code>close()</code> was invoked, false
+     *   otherwise.
+     * @methodOf WebModules.Model#
+     */
+    isClosed: function () {
+      return closed;
+    },
+
+    /** Finishes the request processing successfully, if this Model object
+     * was previously deferred. It takes no action if the object isn't
+     * deferred or if it's already finished.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    success: function () {
+      if (deferred && !succeeded && !failed) {
         notify();
       }
+      return this;
+    },
+
+    /** Finishes the request processing with an error. Listeners are notified
+     * about the failure instead of rendering the model. It takes no action if
+     * the request is already finished.
+     *
+     * @param {Object} cause Error that caused the failure. Cannot be null.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    error: function (cause) {
+      if (!succeeded && !failed) {
+        failed = true;
+        failure = cause;
+        notify();
+      }
+      return this;
+    },
+
+    /** Determines whether the request processing failed.
+     * @return {Boolean} true if <code>error()</code> was invoked, false
+     *   otherwise.
+     * @methodOf WebModules.Model#
+     */
+    isFailed: function () {
+      return failed;
+    },
+
+    /** Returns the error that caused the failure.
+     * @return {Object} The error, or null if the model didn't fail.
+     * @methodOf WebModules.Model#
+     */
+    getError: function () {
+      return failure;
+    },
+
+    /** Forces the request to follow the specified redirect once this model
+     * is ready. It allows deferred models to finish in a redirect instead of
+     * rendering a view.
+     *
+     * @param {WebModules.Redirect} theRedirect Redirect to follow. If it's
+     *   null the existing redirect will be removed.
+     * @return {WebModules.Model} Returns this model instance.
+     * @methodOf WebModules.Model#
+     */
+    redirect: function (theRedirect) {
+      redirect = theRedirect || null;
+      return this;
+    },
+
+    /** Returns the redirect to follow once this model is ready.
+     *
+     * @return {WebModules.Redirect} The redirect, or null if there's no
+     *   redirect.
+     * @methodOf WebModules.Model#
+     */
+    getRedirect: function () {
+      return redirect;
     },
 
     /** Adds a new listener that will be called once the request is already
      * processed by the handler.
      *
-     * @param {Function} callback Callback to add. Cannot be null.
+     * @param {Function} callback Callback invoked if the request is
+     *   successfully processed. Can be null.
+     * @param {Function} [errorCallback] Callback invoked if the request
+     *   processing fails. It takes the error as parameter. Can be null.
      * @return {WebModules.Model} Returns this model instance.
      * @methodOf WebModules.Model#
      */
-    wait: function (callback) {
-      callbacks.push(callback);
+    wait: function (callback, errorCallback) {
+      callbacks.push({
+        success: callback,
+        failure: errorCallback
+      });
 
-      if (!deferred) {
+      if (!deferred || succeeded || failed) {
         notify();
       }
       return this;
+    },
+
+    /** Registers callbacks to be notified once the request is processed,
+     * according to the Promises/A+ specification.
+     *
+     * @param {Function} [onFulfilled] Callback invoked with the model data
+     *   once the request is successfully processed. Can be null.
+     * @param {Function} [onRejected] Callback invoked with the error if the
+     *   request processing fails. Can be null.
+     * @return {Promise} A new promise for the callbacks result. Never returns
+     *   null.
+     * @methodOf WebModules.Model#
+     */
+    then: function (onFulfilled, onRejected) {
+      var model = this;
+
+      return new Promise(function (resolve, reject) {
+        model.wait(function () {
+          resolve(model.data);
+        }, reject);
+      }).then(onFulfilled, onRejected);
     }
   });
 };
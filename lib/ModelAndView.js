@@ -33,13 +33,33 @@ WebModules.ModelAndView = function (theViewName, theModel) {
      */
     model: theModel || new WebModules.Model(),
 
+    /** HTTP status code of the response. If it's null, the request handler
+     * default status is used.
+     * @type Number
+     * @fieldOf WebModules.ModelAndView#
+     */
+    status: null,
+
     /** Forces this view to follow the specified redirect.
      *
      * @param {WebModules.Redirect} theRedirect Redirect to follow. Can be null.
+     * @param {Object} [flashAttributes] Attributes exposed to the next
+     *   rendered view. They're added to the redirect flash attributes. Can be
+     *   null.
      * @methodOf WebModules.ModelAndView#
      */
-    sendRedirect: function (theRedirect) {
+    sendRedirect: function (theRedirect, flashAttributes) {
+      var name;
+
       redirect = theRedirect;
+
+      if (redirect && flashAttributes) {
+        for (name in flashAttributes) {
+          if (flashAttributes.hasOwnProperty(name)) {
+            redirect.flash(name, flashAttributes[name]);
+          }
+        }
+      }
     },
 
     /** Returns the redirect information.
@@ -12,8 +12,39 @@
  *
  * @param {Object} [configuration] Either the configuration object or a
  *    function to build the configuration. Cannot be null.
+ * @param {String} [configuration.name] Name of this module in the route
+ *    table. Default is the context path.
  * @param {String} [configuration.serverType] Type of server used by this
  *    module.
+ * @param {Object} [configuration.transactionManager] Transaction manager used
+ *    by routes that don't specify their own transaction manager. Look at
+ *    {@link WebModules.InMemoryTransactionManager} for the contract.
+ * @param {Object} [configuration.serializers] Serializers available only in
+ *    this module, by format. Look at {@link WebModules.SerializerRegistry}.
+ * @param {Object} [configuration.services] Services available only in this
+ *    module, by name. Look at {@link WebModules.ServiceRegistry}.
+ * @param {String[]} [configuration.messagePaths] Directories that contain
+ *    the message bundles of this module, one JSON file per locale. Look at
+ *    {@link WebModules.MessageSource}.
+ * @param {String} [configuration.defaultLocale] Locale used if the request
+ *    locale isn't supported. Default is <code>en</code>.
+ * @param {Object} [configuration.localeResolver] Resolver to determine the
+ *    locale of requests. Default is a {@link WebModules.LocaleResolver}.
+ * @param {Object[]} [configuration.exceptionResolvers] List of exception
+ *    resolvers to map errors to responses. Look at
+ *    {@link WebModules.Module#exceptionResolver} for further information.
+ * @param {Function[]} [configuration.middleware] Express middleware that
+ *    only runs for requests to this module.
+ * @param {Object} [configuration.settings] Express settings for this module,
+ *    like the view engine. Settings that aren't specified are inherited from
+ *    the global application.
+ * @param {Function} [configuration.onInit] Function invoked when the module is
+ *    initialized, before routes are registered. It takes the module.
+ * @param {Function} [configuration.onReady] Function invoked once the module
+ *    is initialized and routes are registered. It takes the module.
+ * @param {Function} [configuration.onDestroy] Function invoked when an
+ *    initialized module is destroyed. It takes the module and it may return a
+ *    promise to release resources asynchronously.
  * @constructor
  */
 WebModules.Module = function (contextPath, configuration) {
@@ -25,12 +56,39 @@ WebModules.Module = function (contextPath, configuration) {
    */
   var DEFAULT_SERVER_TYPE = WebModules.ModuleManager.ServerType.EXPRESS;
 
+  /** WebSocket server type.
+   * @constant
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var WEB_SOCKET = WebModules.ModuleManager.ServerType.WEB_SOCKET;
+
+  /** Server-Sent Events server type.
+   * @constant
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var SSE = WebModules.ModuleManager.ServerType.SSE;
+
   /** Default request method if not specified.
    * @private
    * @fieldOf WebModules.Module#
    */
   var DEFAULT_VERB = "all";
 
+  /** Default socket event for WebSocket routes if not specified.
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var DEFAULT_EVENT = "message";
+
+  /** Name of the messaging service available to commands.
+   * @constant
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var MESSAGING_SERVICE = "messaging";
+
   /** Checks constructor preconditions.
    * @private
    */
@@ -46,12 +104,33 @@ WebModules.Module = function (contextPath, configuration) {
    * @private
    */
   var config = WebModules.extend({
+    name: null,
     serverType: DEFAULT_SERVER_TYPE,
     routes: {},
     viewPaths: [],
-    staticContent: {}
+    staticContent: {},
+    transactionManager: null,
+    serializers: {},
+    services: {},
+    messagePaths: [],
+    defaultLocale: "en",
+    localeResolver: null,
+    exceptionResolvers: [],
+    onInit: null,
+    onReady: null,
+    onDestroy: null,
+    middleware: [],
+    settings: {},
+    grantMessaging: []
   }, configuration || {});
 
+  /** Service to send messages to WebSocket clients, it's lazily created.
+   * @type WebModules.MessagingService
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var messagingService = null;
+
   /** One of the supported request handlers depending on the server type
    * specified for this module.
    * @type WebModules.RequestHandler
@@ -67,13 +146,27 @@ WebModules.Module = function (contextPath, configuration) {
    */
   var endpoints = [];
 
-  /** List of filters executed before endpoints handlers.
-   * @type Object[]
+  /** List of filter mappings executed before endpoints handlers.
+   * @type Object[][]
    * @private
    * @fieldOf WebModules.Module#
    */
   var filters = [];
 
+  /** List of exception resolvers that map errors to responses.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var exceptionResolvers = [];
+
+  /** Exception resolver for errors that aren't handled by any other resolver.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var defaultExceptionResolver = null;
+
   /** Default view resolver for this module.
    * @type WebModules.MultiPathViewResolver
    * @private
@@ -81,14 +174,279 @@ WebModules.Module = function (contextPath, configuration) {
    */
   var viewResolver = new WebModules.MultiPathViewResolver();
 
+  /** Serializers for this module, it inherits the global serializers.
+   * @type WebModules.SerializerRegistry
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var serializerRegistry = new WebModules.SerializerRegistry(WebModules
+    .ModuleManager.serializers());
+
+  /** Services for this module, it inherits the global services.
+   * @type WebModules.ServiceRegistry
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var serviceRegistry = new WebModules.ServiceRegistry(WebModules
+    .ModuleManager.services());
+
+  /** Translated messages of this module.
+   * @type WebModules.MessageSource
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var messageSource = new WebModules.MessageSource(config.defaultLocale);
+
+  /** Resolver to determine the locale of requests.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var localeResolver = config.localeResolver ||
+    new WebModules.LocaleResolver();
+
+  /** Manager this module is registered into. Default is the global module
+   * manager.
+   * @type WebModules.ModuleManager
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var moduleManager = WebModules.ModuleManager;
+
+  /** Indicates whether the configuration was already applied.
+   * @type Boolean
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var configured = false;
+
+  /** Creates the express application for this module. Settings are
+   * inherited from the global application unless they're overriden in the
+   * module configuration. Global view locals are also available.
+   *
+   * @return {Object} A new express application. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var createApplication = function () {
+    var moduleApp = require("express")();
+    var name;
+
+    Object.keys(moduleApp.settings).forEach(function (setting) {
+      delete moduleApp.settings[setting];
+    });
+    moduleApp.on("mount", function (parent) {
+      moduleApp.locals.__proto__ = parent.locals;
+    });
+
+    for (name in config.settings) {
+      if (config.settings.hasOwnProperty(name)) {
+        moduleApp.set(name, config.settings[name]);
+      }
+    }
+    config.middleware.forEach(function (middleware) {
+      moduleApp.use(middleware);
+    });
+
+    return moduleApp;
+  };
+
+  /** Express application mounted at the module context path.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var app = createApplication();
+
   /** Mapper to register static resources endpoints.
    *
    * @type {WebModules.StaticContentMapper}
    * @private
    * @methodOf WebModules.Module#
    */
-  var staticContentMapper = new WebModules.StaticContentMapper(WebModules
-    .ModuleManager.app());
+  var staticContentMapper = new WebModules.StaticContentMapper(app);
+
+  /** Static content mappings. Each mapping has the <code>uri</code> and the
+   * file system <code>path</code>.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.Module#
+   */
+  var staticMappings = [];
+
+  /** Resolves the full path of a route relative to the module context path.
+   * @param {String} path Route path. Cannot be null.
+   * @return {String} The path including the context path. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var resolvePath = function (path) {
+    if (contextPath.substr(-1) === "/" && path.indexOf("/") === 0) {
+      return contextPath + path.substr(1);
+    }
+    return contextPath + path;
+  };
+
+  /** Resolves the path of a route relative to the module express
+   * application, which is mounted at the context path.
+   * @param {String} path Route path. Cannot be null.
+   * @return {String} The path relative to the mount point. Never returns
+   *   null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var resolveMountedPath = function (path) {
+    return path.indexOf("/") === 0 ? path : "/" + path;
+  };
+
+  /** Resolves the path that the request handler sees for a route.
+   * Socket.io namespaces are resolved by full path, express and event stream
+   * routes are relative to the module application.
+   * @param {String} path Route path. Cannot be null.
+   * @return {String} The request handler path. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var resolveHandlerPath = function (path) {
+    return config.serverType === WEB_SOCKET ? resolvePath(path) :
+      resolveMountedPath(path);
+  };
+
+  /** Returns a printable name for a handler or a filter.
+   * @param {Object} object Handler or filter to describe. Can be null.
+   * @return {String} The object name. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var describe = function (object) {
+    var constructorName = object && object.constructor &&
+      object.constructor.name;
+
+    if (typeof object === "function") {
+      return object.name || "(anonymous)";
+    }
+    if (object && typeof object.name === "string") {
+      return object.name;
+    }
+    if (constructorName && constructorName !== "Object") {
+      return constructorName;
+    }
+    return "(anonymous)";
+  };
+
+  /** Returns the names of the filters that apply to a path, in order of
+   * execution. Filters are selected as the request handler does.
+   *
+   * @param {String} path Path as the request handler sees it. Cannot be
+   *   null.
+   * @param {String} [method] HTTP method. If it's null, filters mapped to any
+   *   method are included. Can be null.
+   * @return {String[]} The filter names. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var getFilterNames = function (path, method) {
+    return WebModules.RequestHandler.matchFilters(filters, path, method)
+      .map(describe);
+  };
+
+  /** Returns the endpoints of this module, including the configured routes
+   * that aren't registered yet because the module isn't initialized.
+   *
+   * @return {Object[]} The list of endpoints, in order of registration. Each
+   *   endpoint has the <code>path</code>, the <code>handler</code> and the
+   *   route <code>options</code>. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var getAllEndpoints = function () {
+    var allEndpoints = endpoints.slice();
+    var route;
+    var path;
+
+    if (configured) {
+      return allEndpoints;
+    }
+    for (path in config.routes) {
+      if (config.routes.hasOwnProperty(path)) {
+        route = config.routes[path];
+
+        if (typeof route === "function") {
+          route = { handler: route };
+        }
+        allEndpoints.push({
+          path: path,
+          handler: route.handler,
+          options: WebModules.extend({
+            method: DEFAULT_VERB,
+            event: DEFAULT_EVENT
+          }, route.options || {})
+        });
+      }
+    }
+    return allEndpoints;
+  };
+
+  /** Returns the HTTP method an endpoint is mapped to. Event streams are
+   * always mapped to GET.
+   *
+   * @param {Object} endpoint Endpoint to check. Cannot be null.
+   * @return {String} The method in upper case, <code>ALL</code> for every
+   *   method. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var getMethod = function (endpoint) {
+    return config.serverType === SSE ? "GET" :
+      endpoint.options.method.toUpperCase();
+  };
+
+  /** Describes an endpoint as a route table entry.
+   *
+   * @param {Object} endpoint Endpoint to describe. Cannot be null.
+   * @param {String[]} filterNames Names of the filters that apply to the
+   *   endpoint. Cannot be null.
+   * @return {Object} The route table entry. Never returns null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var describeEndpoint = function (endpoint, filterNames) {
+    var webSocket = config.serverType === WEB_SOCKET;
+
+    return {
+      module: config.name || contextPath,
+      contextPath: contextPath,
+      serverType: config.serverType,
+      type: "route",
+      method: webSocket ? null : getMethod(endpoint),
+      event: webSocket ? endpoint.options.event : null,
+      pattern: resolvePath(endpoint.path),
+      name: endpoint.options.name || null,
+      handler: endpoint.handler ? describe(endpoint.handler) : "(view)",
+      filters: filterNames
+    };
+  };
+
+  /** Determines whether an endpoint matches a request path. Express routes
+   * also match the path with a format extension, for instance
+   * <code>/foo.json</code>.
+   *
+   * @param {Object} endpoint Endpoint to check. Cannot be null.
+   * @param {String} path Request path relative to the module application.
+   *   Cannot be null.
+   * @return {Boolean} true if the endpoint handles the path, false
+   *   otherwise.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var matchesEndpoint = function (endpoint, path) {
+    var endpointPath = resolveMountedPath(endpoint.path);
+    var pattern = new WebModules.RoutePattern(endpointPath);
+
+    return pattern.matches(path) || (config.serverType !== SSE &&
+      !/[\/*]$/.test(endpointPath) &&
+      new WebModules.RoutePattern(endpointPath + ".:format").matches(path));
+  };
 
   /** Registers unregistered endpoints into the request handler, if the module
    * is already initialized.
@@ -98,21 +456,146 @@ WebModules.Module = function (contextPath, configuration) {
   var processUnregisteredEndpoints = function () {
     if (requestHandler !== null) {
       endpoints.forEach(function (endpoint) {
-        var path = contextPath;
-
         if (!endpoint.registered) {
-          if (path.substr(-1) === "/" && endpoint.path.indexOf("/") === 0) {
-            path += endpoint.path.substr(1);
-          } else {
-            path += endpoint.path;
-          }
-          requestHandler.endpoint(path, endpoint.handler, endpoint.options);
+          requestHandler.endpoint(resolveHandlerPath(endpoint.path),
+            endpoint.handler, endpoint.options);
           endpoint.registered = true;
         }
       });
     }
   };
 
+  /** Looks up the path of a named route. Routes in the configuration are
+   * also considered before the module initialization.
+   * @param {String} name Route name. Cannot be null.
+   * @return {String} The route path relative to the context path, or null if
+   *   there's no route with the specified name.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var findRoutePath = function (name) {
+    var route;
+    var path;
+    var i;
+
+    for (i = 0; i < endpoints.length; i++) {
+      if (endpoints[i].options.name === name) {
+        return endpoints[i].path;
+      }
+    }
+    for (path in config.routes) {
+      if (config.routes.hasOwnProperty(path)) {
+        route = config.routes[path];
+
+        if (route.options && route.options.name === name) {
+          return path;
+        }
+      }
+    }
+    return null;
+  };
+
+  /** Sets the exception resolvers into the request handler, if the module is
+   * already initialized. The default resolver is always the last one.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var updateExceptionResolvers = function () {
+    if (requestHandler !== null) {
+      requestHandler.setExceptionResolvers(exceptionResolvers
+        .concat(defaultExceptionResolver || []));
+    }
+  };
+
+  /** Adds an exception resolver. Look at
+   * {@link WebModules.Module#exceptionResolver}.
+   * @param {Object} resolver Resolver or mapping description. Cannot be null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var addExceptionResolver = function (resolver) {
+    var theResolver = resolver;
+
+    if (typeof resolver.resolve !== "function") {
+      theResolver = new WebModules.ExceptionResolver(resolver);
+    }
+    if (theResolver.isDefault && theResolver.isDefault()) {
+      defaultExceptionResolver = theResolver;
+    } else {
+      exceptionResolvers.push(theResolver);
+    }
+    updateExceptionResolvers();
+  };
+
+  /** Applies the module configuration. It's invoked only the first time the
+   * module is initialized.
+   * @param {WebModules.Module} module Module to configure. Cannot be null.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var configure = function (module) {
+    var route;
+    var path;
+    var format;
+    var name;
+
+    for (path in config.routes) {
+      if (config.routes.hasOwnProperty(path)) {
+        route = config.routes[path];
+
+        if (typeof route === "function") {
+          // No options, just the handler.
+          module.route(path, route);
+        } else {
+          // Object describing the handler and options.
+          module.route(path, route.handler, route.options);
+        }
+      }
+    }
+
+    config.viewPaths.forEach(function (viewPath) {
+      module.addViewPath(viewPath);
+    });
+
+    config.messagePaths.forEach(function (messagePath) {
+      module.addMessagePath(messagePath);
+    });
+
+    for (path in config.staticContent) {
+      if (config.staticContent.hasOwnProperty(path)) {
+        module.staticContent(path, config.staticContent[path]);
+      }
+    }
+
+    for (format in config.serializers) {
+      if (config.serializers.hasOwnProperty(format)) {
+        module.serializer(format, config.serializers[format]);
+      }
+    }
+
+    for (name in config.services) {
+      if (config.services.hasOwnProperty(name)) {
+        module.service(name, config.services[name]);
+      }
+    }
+  };
+
+  /** Invokes a lifecycle hook, if it's configured.
+   * @param {String} name Hook name. Cannot be null.
+   * @param {WebModules.Module} module Module to notify. Cannot be null.
+   * @return {Object} The hook result, if any.
+   * @private
+   * @methodOf WebModules.Module#
+   */
+  var invokeHook = function (name, module) {
+    if (typeof config[name] === "function") {
+      return config[name].call(module, module);
+    }
+  };
+
+  // Configured resolvers take precedence over resolvers added later.
+  config.exceptionResolvers.forEach(addExceptionResolver);
+
   return {
     /** Initializes this module and registers the related request handler.
      * @param {WebModules.RequestHandler} theRequestHandler Request handler
@@ -120,45 +603,96 @@ WebModules.Module = function (contextPath, configuration) {
      * @methodOf WebModules.Module#
      */
     init: function (theRequestHandler) {
-      var route;
-      var path;
-
-      for (path in config.routes) {
-        if (config.routes.hasOwnProperty(path)) {
-          route = config.routes[path];
-
-          if (typeof route === "function") {
-            // No options, just the handler.
-            this.route(path, route);
-          } else {
-            // Object describing the handler and options.
-            this.route(path, route.handler, route.options);
-          }
-        }
-      }
+      invokeHook("onInit", this);
 
-      config.viewPaths.forEach(function (viewPath) {
-        this.addViewPath(viewPath);
-      }, this);
-
-      for (path in config.staticContent) {
-        if (config.staticContent.hasOwnProperty(path)) {
-          this.staticContent(path, config.staticContent[path]);
-        }
+      if (!configured) {
+        configure(this);
+        configured = true;
       }
 
       requestHandler = theRequestHandler;
       processUnregisteredEndpoints();
       requestHandler.setFilters(filters);
       requestHandler.setViewResolver(viewResolver);
+      requestHandler.setSerializerRegistry(serializerRegistry);
+      requestHandler.setMessageSource(messageSource);
+      requestHandler.setLocaleResolver(localeResolver);
+      updateExceptionResolvers();
+
+      invokeHook("onReady", this);
     },
 
     /** Registers this module into the global context. Once registered requests
      * are also handled by it.
+     * @param {WebModules.ModuleManager} [theModuleManager] Manager to register
+     *   this module into. Default is the global module manager.
+     * @methodOf WebModules.Module#
+     */
+    register: function (theModuleManager) {
+      (theModuleManager || WebModules.ModuleManager).register(this);
+    },
+
+    /** Unregisters this module from the manager it's registered into. Once
+     * unregistered, requests are no longer handled by it.
+     * @methodOf WebModules.Module#
+     */
+    unregister: function () {
+      moduleManager.unregister(this);
+    },
+
+    /** Sets the manager this module is registered into. It's invoked by the
+     * module manager on registration.
+     * @param {WebModules.ModuleManager} theModuleManager Module manager.
+     *   Cannot be null.
      * @methodOf WebModules.Module#
      */
-    register: function () {
-      WebModules.ModuleManager.register(this);
+    setModuleManager: function (theModuleManager) {
+      var previous = messagingService;
+      var current;
+
+      moduleManager = theModuleManager;
+      serializerRegistry.setParent(moduleManager.serializers());
+      serviceRegistry.setParent(moduleManager.services());
+
+      // The messaging service belongs to the module manager. Services
+      // registered by users with the same name take precedence.
+      current = serviceRegistry.get(MESSAGING_SERVICE);
+      messagingService = null;
+
+      if (current === null || current === previous) {
+        serviceRegistry.register(MESSAGING_SERVICE, this.messaging());
+      }
+    },
+
+    /** Returns the manager this module is registered into.
+     * @return {WebModules.ModuleManager} The module manager. Never returns
+     *   null.
+     * @methodOf WebModules.Module#
+     */
+    getModuleManager: function () {
+      return moduleManager;
+    },
+
+    /** Removes the routes and filters of this module and invokes the
+     * <code>onDestroy</code> hook if the module was initialized. It's invoked
+     * by the module manager when the module is unregistered, once the module
+     * application is unmounted.
+     *
+     * @return {Object} The <code>onDestroy</code> hook result, if any.
+     * @methodOf WebModules.Module#
+     */
+    destroy: function () {
+      // Endpoints are registered again if the module is initialized again.
+      endpoints.forEach(function (endpoint) {
+        endpoint.registered = false;
+      });
+
+      if (requestHandler !== null) {
+        requestHandler.destroy();
+        requestHandler = null;
+
+        return invokeHook("onDestroy", this);
+      }
     },
 
     /** Maps a route to a controller. The controller is the flow control unit
@@ -176,13 +710,48 @@ WebModules.Module = function (contextPath, configuration) {
      *   without any processing.
      *
      * @param {Object} options Options to match this route. Can be null.
+     * @param {String} [options.name] Unique name to build urls for this
+     *   route. Look at {@link WebModules.ModuleManager#urlFor}.
+     * @param {String} [options.method] HTTP method to match. Default is all
+     *   methods.
+     * @param {String} [options.viewName] Name of the view rendered by this
+     *   route. Default is the view resolved from the request path.
+     * @param {String[]} [options.produces] Formats this route can write, in
+     *   order of preference. <code>html</code> stands for views, any other
+     *   format must have a serializer. Default is all formats, views first.
+     * @param {Object} [options.transactionManager] Transaction manager for
+     *   commands executed by this route. Default is the module transaction
+     *   manager.
+     * @param {String} [options.event] Socket event this route listens for in
+     *   WebSocket modules. Default is <code>message</code>.
+     * @param {Number} [options.bufferSize] Number of events kept to replay
+     *   them in SSE modules. Default is 100.
+     * @param {Number} [options.keepAlive] Time between keepalive comments in
+     *   SSE modules, in milliseconds. Default is 15000.
      * @methodOf WebModules.Module#
      */
     route: function (path, handler, options) {
       var routeConfig = WebModules.extend({
-        method: DEFAULT_VERB
+        method: DEFAULT_VERB,
+        event: DEFAULT_EVENT,
+        transactionManager: config.transactionManager,
+        services: serviceRegistry
       }, options || {});
 
+      if (routeConfig.name && endpoints.some(function (endpoint) {
+          return endpoint.options.name === routeConfig.name;
+        })) {
+        throw new Error("There's already a route named " + routeConfig.name);
+      }
+      if (config.serverType === WEB_SOCKET &&
+          endpoints.some(function (endpoint) {
+            return endpoint.path === path &&
+              endpoint.options.event === routeConfig.event;
+          })) {
+        throw new Error("There's already a route for event " +
+          routeConfig.event + " in " + resolvePath(path));
+      }
+
       endpoints.push({
         path: path,
         handler: handler,
@@ -197,20 +766,115 @@ WebModules.Module = function (contextPath, configuration) {
      * If a filter doesn't delegate to the next filter the request won't be
      * processed.
      *
+     * Filters may implement <code>execute(req, res, chain)</code>, which runs
+     * before the controller, and
+     * <code>postHandle(req, res, modelAndView)</code>, which runs before the
+     * response is written. <code>postHandle</code> may modify the model and
+     * view or return a new one to replace it.
+     *
      * This method must be called before the module runtime initialization.
      * After that moment, it takes no effect.
      *
      * @param {Object} filter Filter instance. Cannot be null.
      * @param {Number} [order] 0-based order of the filter. Default is 0.
+     * @param {Object} [options] Filter mapping options. Can be null.
+     * @param {String[]} [options.include] Route patterns, relative to the
+     *   module context path, the filter applies to. Default is every route.
+     * @param {String[]} [options.exclude] Route patterns the filter doesn't
+     *   apply to. Can be null.
+     * @param {String[]} [options.methods] HTTP methods the filter applies to.
+     *   Filters of WebSocket modules are mapped to the
+     *   <code>connection</code> or <code>message</code> phases instead.
+     *   Default is every method.
      * @methodOf WebModules.Module#
      */
-    filter: function (filter, order) {
-      var index = (order !== undefined) ? order : filters.length;
+    filter: function (filter, order, options) {
+      var index = (order !== undefined && order !== null) ? order :
+        filters.length;
+      var mappingConfig = WebModules.extend({
+        include: [],
+        exclude: [],
+        methods: []
+      }, options);
+      var toPattern = function (pattern) {
+        return new WebModules.RoutePattern(resolveHandlerPath(pattern));
+      };
 
       if (!filters[index]) {
         filters[index] = [];
       }
-      filters[index].push(filter);
+      filters[index].push({
+        filter: filter,
+        include: [].concat(mappingConfig.include).map(toPattern),
+        exclude: [].concat(mappingConfig.exclude).map(toPattern),
+        methods: [].concat(mappingConfig.methods).map(function (method) {
+          return method.toUpperCase();
+        })
+      });
+    },
+
+    /** Maps errors raised by filters, controllers or deferred models to
+     * responses. Resolvers are evaluated in the order they're registered.
+     *
+     * @param {Object} resolver Either a {@link WebModules.ExceptionResolver}
+     *   mapping description or an object that implements
+     *   <code>canResolve(error)</code> and <code>resolve(error)</code>. If the
+     *   mapping doesn't specify the error, it replaces the module-wide
+     *   fallback resolver. Cannot be null.
+     * @methodOf WebModules.Module#
+     */
+    exceptionResolver: function (resolver) {
+      addExceptionResolver(resolver);
+    },
+
+    /** Registers a serializer to write models in the specified format. It
+     * overrides global serializers for the same format.
+     *
+     * @param {String} format Format name. Cannot be null or empty.
+     * @param {Object} serializer Serializer that has the
+     *   <code>contentType</code> and the <code>serialize(data)</code> method.
+     *   Cannot be null.
+     * @methodOf WebModules.Module#
+     */
+    serializer: function (format, serializer) {
+      serializerRegistry.register(format, serializer);
+    },
+
+    /** Registers a service available to the commands of this module. It
+     * overrides global services with the same name.
+     *
+     * @param {String} name Service name. Cannot be null or empty.
+     * @param {Object} service Service instance. Cannot be null.
+     * @methodOf WebModules.Module#
+     */
+    service: function (name, service) {
+      serviceRegistry.register(name, service);
+    },
+
+    /** Returns the url pattern of a named route.
+     *
+     * @param {String} name Route name. Cannot be null.
+     * @return {WebModules.RoutePattern} The route pattern including the
+     *   module context path, or null if there's no route with the specified
+     *   name in this module.
+     * @methodOf WebModules.Module#
+     */
+    getRoute: function (name) {
+      var path = findRoutePath(name);
+
+      return path === null ? null :
+        new WebModules.RoutePattern(resolvePath(path));
+    },
+
+    /** Returns the express application of this module. It's mounted at the
+     * context path once the module is registered, and it can be used to add
+     * middleware or settings that only apply to this module.
+     *
+     * @return {Object} The module express application. Never returns null.
+     * @methodOf WebModules.Module#
+     */
+    getApp: function () {
+      return app;
     },
 
     /** Returns the module base context path. Requests under this path will
@@ -222,6 +886,39 @@ WebModules.Module = function (contextPath, configuration) {
       return contextPath;
     },
 
+    /** Returns the service to send messages to WebSocket clients. The
+     * service can reach namespaces of this module and of modules that grant
+     * access to this module. Commands can also inject it as the
+     * <code>messaging</code> service.
+     *
+     * @return {WebModules.MessagingService} The module messaging service.
+     *   Never returns null.
+     * @methodOf WebModules.Module#
+     */
+    messaging: function () {
+      if (messagingService === null) {
+        messagingService = new WebModules.MessagingService(moduleManager,
+          this);
+      }
+      return messagingService;
+    },
+
+    /** Determines whether a module can send messages to the namespaces of
+     * this module. Access is granted by the <code>grantMessaging</code>
+     * configuration option, which lists module context paths or
+     * <code>*</code> for any module.
+     *
+     * @param {String} contextPath Context path of the sender module. Cannot
+     *   be null.
+     * @return {Boolean} true if access is granted, false otherwise.
+     * @methodOf WebModules.Module#
+     */
+    isMessagingGranted: function (contextPath) {
+      return [].concat(config.grantMessaging).some(function (grant) {
+        return grant === "*" || grant === contextPath;
+      });
+    },
+
     /** Returns which kind of server must be used for this module.
      * @return {String} One of the valid servers defined in
      *   <code>ModuleManager.SERVER_TYPE</code>
@@ -249,6 +946,39 @@ WebModules.Module = function (contextPath, configuration) {
       viewResolver = theViewResolver;
     },
 
+    /** Loads the message bundles of a directory. Each JSON file in the
+     * directory has the messages of the locale named as the file, for
+     * instance <code>es-AR.json</code>.
+     *
+     * @param {String} messagePath Directory that contains the bundles. Cannot
+     *   be null.
+     * @methodOf WebModules.Module#
+     */
+    addMessagePath: function (messagePath) {
+      messageSource.addMessagePath(messagePath);
+    },
+
+    /** Returns the translated messages of this module.
+     *
+     * @return {WebModules.MessageSource} The module message source. Never
+     *   returns null.
+     * @methodOf WebModules.Module#
+     */
+    getMessageSource: function () {
+      return messageSource;
+    },
+
+    /** Sets the resolver to determine the locale of requests. It takes no
+     * effect after the module initialization. Look at
+     * {@link WebModules.LocaleResolver} for the contract.
+     *
+     * @param {Object} theLocaleResolver Locale resolver. Cannot be null.
+     * @methodOf WebModules.Module#
+     */
+    setLocaleResolver: function (theLocaleResolver) {
+      localeResolver = theLocaleResolver;
+    },
+
     /** Maps an URI to serve static resources from the specified directory.
      * @param {String} uri URI relative to the module root. Cannot be null or
      *   empty.
@@ -257,16 +987,108 @@ WebModules.Module = function (contextPath, configuration) {
      * @methodOf WebModules.Module#
      */
     staticContent: function (uri, path) {
-      var scopedPath = contextPath;
-      if (scopedPath.substr(-1) !== "/") {
-        scopedPath += "/";
+      staticMappings.push({
+        uri: uri,
+        path: path
+      });
+      staticContentMapper.add(resolveMountedPath(uri), path);
+    },
+
+    /** Returns the name of this module.
+     * @return {String} The configured name, or the context path if there's
+     *   no name. Never returns null.
+     * @methodOf WebModules.Module#
+     */
+    getName: function () {
+      return config.name || contextPath;
+    },
+
+    /** Returns the route table of this module. Configured routes and static
+     * mappings are included even if the module isn't initialized yet.
+     * <p>
+     * Each entry has the <code>module</code> name, the
+     * <code>contextPath</code>, the <code>serverType</code>, the entry
+     * <code>type</code>, either <code>route</code> or <code>static</code>,
+     * the HTTP <code>method</code> or the socket <code>event</code>, the
+     * full url <code>pattern</code>, the route <code>name</code>, the
+     * <code>handler</code> name or the static content directory, and the
+     * names of the <code>filters</code> mapped to the pattern.
+     * </p>
+     *
+     * @return {Object[]} The route table, routes first and then static
+     *   mappings, in order of registration. Never returns null.
+     * @methodOf WebModules.Module#
+     */
+    getRouteTable: function () {
+      var mappings = staticMappings;
+      var uri;
+
+      if (!configured) {
+        mappings = [];
+
+        for (uri in config.staticContent) {
+          if (config.staticContent.hasOwnProperty(uri)) {
+            mappings.push({ uri: uri, path: config.staticContent[uri] });
+          }
+        }
       }
-      if (uri.substr(0, 1) === "/") {
-        scopedPath += uri.substr(1);
-      } else {
-        scopedPath += uri;
+
+      return getAllEndpoints().map(function (endpoint) {
+        var method = getMethod(endpoint);
+
+        return describeEndpoint(endpoint,
+          getFilterNames(resolveHandlerPath(endpoint.path),
+            (config.serverType === WEB_SOCKET || method === "ALL") ? null :
+              method));
+      }).concat(mappings.map(function (mapping) {
+        return {
+          module: config.name || contextPath,
+          contextPath: contextPath,
+          serverType: config.serverType,
+          type: "static",
+          method: "GET",
+          event: null,
+          pattern: resolvePath(mapping.uri),
+          name: null,
+          handler: mapping.path,
+          filters: []
+        };
+      }));
+    },
+
+    /** Returns the routes of this module that match a request, in the order
+     * they're evaluated. WebSocket modules don't handle HTTP requests, so
+     * they never match.
+     *
+     * @param {String} method HTTP method. Cannot be null.
+     * @param {String} path Full request path, without query string. Cannot
+     *   be null.
+     * @return {Object[]} The route table entries that match the request. The
+     *   <code>filters</code> are the ones executed for the path. Never
+     *   returns null.
+     * @methodOf WebModules.Module#
+     */
+    resolveRoutes: function (method, path) {
+      var basePath = contextPath.replace(/\/$/, "");
+      var mountedPath;
+
+      if (config.serverType === WEB_SOCKET || (path !== basePath &&
+          path.indexOf(basePath + "/") !== 0)) {
+        return [];
       }
-      staticContentMapper.add(scopedPath, path);
+      mountedPath = resolveMountedPath(path.substr(basePath.length));
+
+      return getAllEndpoints().filter(function (endpoint) {
+        var verb = getMethod(endpoint);
+        var requestMethod = method.toUpperCase();
+
+        return (verb === "ALL" || verb === requestMethod ||
+            (verb === "GET" && requestMethod === "HEAD")) &&
+          matchesEndpoint(endpoint, mountedPath);
+      }).map(function (endpoint) {
+        return describeEndpoint(endpoint,
+          getFilterNames(mountedPath, method));
+      });
     }
   };
 };
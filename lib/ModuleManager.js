@@ -1,4 +1,9 @@
 /** Central dispatcher for HTTP requests. It delegates requests to modules.
+ * <p>
+ * This object is the default module manager. Isolated managers, with their
+ * own express application and modules, are created by
+ * {@link WebModules.ModuleManager#create}.
+ * </p>
  * @namespace
  */
 WebModules.ModuleManager = (function () {
@@ -23,120 +28,707 @@ WebModules.ModuleManager = (function () {
     /** Express.js server. This is the default.
      * @constant
      */
-    EXPRESS: "express"
+    EXPRESS: "express",
+
+    /** Server-Sent Events over the express server.
+     * @constant
+     */
+    SSE: "sse"
   };
 
-  /** ExpressJS application.
+  /** Creates a module manager.
+   *
+   * @param {Object} [options] Manager options. Can be null.
+   * @param {Object} [options.websocket] socket.io server used by WebSocket
+   *   modules. Default is a new socket.io server attached to the manager
+   *   server.
+   * @param {Object} [options.flashStore] Store that keeps flash attributes
+   *   between a redirect and the next rendered view. Default is a
+   *   {@link WebModules.CookieFlashStore}.
+   * @return {Object} A new module manager. Never returns null.
    * @private
-   * @fieldOf WebModules.ModuleManager#
+   * @methodOf WebModules.ModuleManager#
    */
-  var app = require('express')();
+  var createModuleManager = function (options) {
 
-  /** Master server, it will listen for connections.
-   * @type http.Server.
-   * @private
-   * @fieldOf WebModules.ModuleManager#
-   */
-  var server = require('http').createServer(app);
+    /** Manager configuration.
+     * @type Object
+     * @private
+     */
+    var managerConfig = WebModules.extend({
+      websocket: null,
+      flashStore: null
+    }, options || {});
 
-  /** Socket.io application.
-   * @type WebSocketApplication
-   * @private
-   * @fieldOf WebModules.ModuleManager#
-   */
-  var websocket = require('socket.io').listen(server);
+    /** Public interface of this manager.
+     * @type Object
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var moduleManager;
 
-  /** List of registered modules descriptions.
-   * @type Object[]
-   * @private
-   * @fieldOf WebModules.ModuleManager#
-   */
-  var modulesDescriptions = [];
+    /** ExpressJS application.
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var app = require('express')();
 
-  /** Initializes the MVC front controller.
-   * @private
-   * @fieldOf WebModules.ModuleManager#
-   */
-  var configureFrontController = function () {
-    app.all("*", function (req, res, next) {
-      var path = req.route.params[0];
-      var moduleDescription;
-      var contextPath;
+    /** Master server, it will listen for connections.
+     * @type http.Server.
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var server = require('http').createServer(app);
+
+    /** Socket.io application.
+     * @type WebSocketApplication
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var websocket = managerConfig.websocket ||
+      require('socket.io').listen(server);
+
+    /** List of registered modules descriptions.
+     * @type Object[]
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var modulesDescriptions = [];
+
+    /** Default time to wait for in-flight requests on close, in milliseconds.
+     * @constant
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var DEFAULT_CLOSE_TIMEOUT = 10000;
+
+    /** Number of requests that are still being processed.
+     * @type Number
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var inFlightRequests = 0;
+
+    /** Open connections to the master server.
+     * @type net.Socket[]
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var connections = [];
+
+    /** Function invoked when there's no more in-flight requests. It's null if
+     * the manager isn't closing.
+     * @type Function
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var drainCallback = null;
+
+    /** Indicates whether the manager is closing.
+     * @type Boolean
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var closing = false;
+
+    /** Indicates whether the master server is listening for connections.
+     * @type Boolean
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var listening = false;
+
+    /** Indicates whether the manager closes on termination signals.
+     * @type Boolean
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var handlingSignals = false;
+
+    /** Serializers available to all modules.
+     * @type WebModules.SerializerRegistry
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var serializerRegistry = new WebModules.SerializerRegistry();
+
+    /** Services available to all modules.
+     * @type WebModules.ServiceRegistry
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var serviceRegistry = new WebModules.ServiceRegistry();
+
+    /** Store that keeps flash attributes between requests.
+     * @type Object
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var flashStore = managerConfig.flashStore ||
+      new WebModules.CookieFlashStore();
+
+    /** Looks up a named route in the registered modules.
+     * @param {String} name Route name. Cannot be null.
+     * @return {WebModules.RoutePattern} The route pattern, or null if
+     *   there's no route with the specified name.
+     * @private
+     * @methodOf WebModules.ModuleManager#
+     */
+    var getRoute = function (name) {
+      var route = null;
       var i;
 
-      for (i = 0; i < modulesDescriptions.length; i++) {
-        moduleDescription = modulesDescriptions[i];
-        contextPath = moduleDescription.module.getContextPath();
-
-        // Uses the base path to lazyly initialize the module in runtime only
-        // when it's invoked the first time.
-        if (path.indexOf(contextPath) === 0 &&
-            !moduleDescription.initialized) {
-          moduleDescription.module
-            .init(new WebModules.ExpressRequestHandler(app));
-          moduleDescription.initialized = true;
+      for (i = 0; i < modulesDescriptions.length && route === null; i++) {
+        route = modulesDescriptions[i].module.getRoute(name);
+      }
+      return route;
+    };
+
+    /** Builds the url of a named route.
+     * @param {String} name Route name. Cannot be null.
+     * @param {Object} [params] Values for the route parameters. Parameters that
+     *   aren't in the route are appended as query string. Can be null.
+     * @return {String} The route url. Never returns null.
+     * @private
+     * @methodOf WebModules.ModuleManager#
+     */
+    var urlFor = function (name, params) {
+      var route = getRoute(name);
+
+      if (route === null) {
+        throw new Error("There's no route named " + name);
+      }
+      return route.expand(params);
+    };
+
+    /** Creates the request handler of a module that runs over the express
+     * server.
+     * @param {WebModules.Module} module Module to create the request handler
+     *   for. Cannot be null.
+     * @return {WebModules.RequestHandler} The request handler. Never returns
+     *   null.
+     * @private
+     * @methodOf WebModules.ModuleManager#
+     */
+    var createRequestHandler = function (module) {
+      if (module.getServerType() === ServerType.SSE) {
+        return new WebModules.SseRequestHandler(module.getApp());
+      }
+      return new WebModules.ExpressRequestHandler(module.getApp(),
+        moduleManager);
+    };
+
+    /** Initializes the MVC front controller.
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var configureFrontController = function () {
+      app.use(function (req, res, next) {
+        var path = req.path;
+        var moduleDescription;
+        var contextPath;
+        var i;
+
+        for (i = 0; i < modulesDescriptions.length; i++) {
+          moduleDescription = modulesDescriptions[i];
+          contextPath = moduleDescription.module.getContextPath();
+
+          // Uses the base path to lazyly initialize the module in runtime only
+          // when it's invoked the first time.
+          if (path.indexOf(contextPath) === 0 &&
+              !moduleDescription.initialized) {
+            moduleDescription.module.init(
+              createRequestHandler(moduleDescription.module));
+            moduleDescription.initialized = true;
+          }
         }
+
+        next();
+      });
+    };
+
+    /** Configures a single module.
+     * @param {WebModules.Module} module Module to configure. Cannot be null.
+     * @private
+     * @fieldOf WebModules.ModuleManager#
+     */
+    var configureModule = function (module) {
+      var requestHandler = null;
+      var moduleDescription = {
+        initialized: false,
+        module: module,
+        mount: null
+      };
+
+      modulesDescriptions.push(moduleDescription);
+      module.setModuleManager(moduleManager);
+
+      // Mounts the module application, so its middleware and settings only
+      // apply to requests under the module context path.
+      app.use(module.getContextPath(), module.getApp());
+      moduleDescription.mount = app.stack[app.stack.length - 1];
+
+      // WebSocket modules are initialized as they're registered.
+      if (module.getServerType() === ServerType.WEB_SOCKET) {
+        requestHandler = new WebModules.WebSocketRequestHandler(websocket);
+        module.init(requestHandler);
+        moduleDescription.initialized = true;
       }
+    };
 
-      next();
-    });
-  };
+    /** Unmounts the module application and destroys the module.
+     * @param {Object} moduleDescription Description of the module to destroy.
+     *   Cannot be null.
+     * @return {Object} The module <code>onDestroy</code> hook result, if any.
+     * @private
+     * @methodOf WebModules.ModuleManager#
+     */
+    var destroyModule = function (moduleDescription) {
+      var index = app.stack.indexOf(moduleDescription.mount);
 
-  /** Configures a single module.
-   * @param {WebModules.Module} module Module to configure. Cannot be null.
-   * @private
-   * @fieldOf WebModules.ModuleManager#
-   */
-  var configureModule = function (module) {
-    var requestHandler = null;
-
-    modulesDescriptions.push({
-      initialized: false,
-      module: module
-    });
-
-    // WebSocket modules are initialized as they're registered.
-    if (module.getServerType() === ServerType.WEB_SOCKET) {
-      requestHandler = new WebModules.WebSocketRequestHandler(websocket);
-      module.init(requestHandler);
-    }
-  };
+      if (index > -1) {
+        app.stack.splice(index, 1);
+      }
+      return moduleDescription.module.destroy();
+    };
 
-  return {
-    /** Enumeration of supported server types for modules. Any of these types
-     * can be specified when a Module is instantiated.
+    /** Keeps track of in-flight requests, including deferred ones. Requests
+     * received while the manager is closing are rejected.
+     * @private
      * @fieldOf WebModules.ModuleManager#
      */
-    ServerType: ServerType,
+    var configureRequestTracking = function () {
+      server.on("connection", function (socket) {
+        connections.push(socket);
+
+        socket.on("close", function () {
+          connections.splice(connections.indexOf(socket), 1);
+        });
+      });
 
-    /** Initializes the global request dispatcher.
+      app.use(function (req, res, next) {
+        var finished = false;
+
+        var finish = function () {
+          if (finished) {
+            return;
+          }
+          finished = true;
+          inFlightRequests -= 1;
+
+          if (inFlightRequests === 0 && drainCallback) {
+            drainCallback();
+          }
+        };
+
+        if (closing) {
+          res.set("Connection", "close");
+          return res.send(503);
+        }
+
+        // Event streams never finish by themselves, they're closed along with
+        // the connections.
+        if (/text\/event-stream/.test(req.get("Accept") || "")) {
+          return next();
+        }
+        inFlightRequests += 1;
+
+        res.on("finish", finish);
+        res.on("close", finish);
+        next();
+      });
+    };
+
+    /** Waits until in-flight requests are done, or until the timeout expires.
      *
-     * @param {Number} port Port to wait for connections on. Cannot be null.
+     * @param {Number} timeout Maximum time to wait, in milliseconds. Cannot be
+     *   null.
+     * @param {Function} callback Function invoked once requests are done.
+     *   Cannot be null.
+     * @private
      * @methodOf WebModules.ModuleManager#
      */
-    listen: function (port) {
-      configureFrontController();
-      server.listen(port);
-    },
+    var waitForRequests = function (timeout, callback) {
+      var timer;
 
-    /** Registers a module into the global context. Once registered, modules
-     * will handle requests that match their context path.
-     *
-     * @param {WebModules.Module} module Module to register. Cannot be null.
+      drainCallback = function () {
+        clearTimeout(timer);
+        drainCallback = null;
+        callback();
+      };
+      if (inFlightRequests === 0) {
+        return drainCallback();
+      }
+
+      LOG.info("Waiting for " + inFlightRequests + " in-flight requests.");
+
+      timer = setTimeout(function () {
+        LOG.warn("Timeout waiting for " + inFlightRequests +
+          " in-flight requests.");
+        drainCallback();
+      }, timeout);
+    };
+
+    /** Disconnects all socket.io clients.
+     * @private
      * @methodOf WebModules.ModuleManager#
      */
-    register: function (module) {
-      LOG.info("Registering module " + module.getContextPath());
-      configureModule(module);
-    },
+    var disconnectClients = function () {
+      var name;
+
+      for (name in websocket.namespaces) {
+        if (websocket.namespaces.hasOwnProperty(name)) {
+          websocket.namespaces[name].clients().forEach(function (socket) {
+            socket.disconnect();
+          });
+        }
+      }
+    };
 
-    /** Returns the express application.
+    /** Destroys all modules and waits for the <code>onDestroy</code> hooks.
      *
-     * @return {Express} The express application. Never returns null.
+     * @param {Number} timeout Maximum time to wait for the hooks, in
+     *   milliseconds. Cannot be null.
+     * @param {Function} callback Function invoked once all modules are
+     *   destroyed. Cannot be null.
+     * @private
      * @methodOf WebModules.ModuleManager#
      */
-    app: function () {
-      return app;
-    }
-  }
+    var destroyModules = function (timeout, callback) {
+      var pending = 1;
+      var timer;
+
+      var done = function () {
+        pending -= 1;
+
+        if (pending === 0) {
+          clearTimeout(timer);
+          callback();
+        }
+      };
+
+      modulesDescriptions.splice(0).forEach(function (description) {
+        var module = description.module;
+        var result;
+
+        LOG.info("Destroying module " + module.getContextPath());
+
+        try {
+          result = destroyModule(description);
+        } catch (cause) {
+          LOG.error("Error destroying module " + module.getContextPath() +
+            ": " + cause);
+        }
+        if (result && typeof result.then === "function") {
+          pending += 1;
+          result.then(done, function (cause) {
+            LOG.error("Error destroying module " + module.getContextPath() +
+              ": " + cause);
+            done();
+          });
+        }
+      });
+
+      timer = setTimeout(function () {
+        LOG.warn("Timeout waiting for modules to be destroyed.");
+        pending = 1;
+        done();
+      }, timeout);
+      done();
+    };
+
+    /** Closes the manager and exits the process when a termination signal is
+     * received. Signal listeners are removed on close, so a second signal
+     * terminates the process immediately.
+     * @private
+     * @methodOf WebModules.ModuleManager#
+     */
+    var handleSignal = function () {
+      moduleManager.close(function () {
+        process.exit(0);
+      });
+    };
+
+    // Views can build urls for named routes.
+    app.locals.urlFor = urlFor;
+
+    configureRequestTracking();
+    configureFrontController();
+
+    moduleManager = {
+      /** Enumeration of supported server types for modules. Any of these types
+       * can be specified when a Module is instantiated.
+       * @fieldOf WebModules.ModuleManager#
+       */
+      ServerType: ServerType,
+
+      /** Initializes the global request dispatcher.
+       *
+       * @param {Number} port Port to wait for connections on. Cannot be null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      listen: function (port) {
+        server.listen(port);
+        listening = true;
+      },
+
+      /** Closes the manager and exits the process when it receives either
+       * SIGTERM or SIGINT. Signal listeners are registered only once, and
+       * they're removed when the manager is closed.
+       *
+       * @methodOf WebModules.ModuleManager#
+       */
+      handleSignals: function () {
+        if (!handlingSignals) {
+          handlingSignals = true;
+          process.on("SIGTERM", handleSignal);
+          process.on("SIGINT", handleSignal);
+        }
+      },
+
+      /** Stops the global request dispatcher. It stops accepting connections,
+       * waits for in-flight and deferred requests, disconnects socket.io
+       * clients and destroys all modules. It's invoked when the process
+       * receives either SIGTERM or SIGINT, if the manager handles signals.
+       *
+       * @param {Function} [callback] Function invoked once the manager is
+       *   closed. Can be null.
+       * @param {Number} [timeout] Maximum time to wait for requests and for
+       *   modules to be destroyed, in milliseconds. Default is 10 seconds.
+       * @methodOf WebModules.ModuleManager#
+       */
+      close: function (callback, timeout) {
+        var waitTime = timeout || DEFAULT_CLOSE_TIMEOUT;
+
+        if (closing) {
+          throw new Error("The module manager is already closing.");
+        }
+        closing = true;
+
+        LOG.info("Closing module manager.");
+
+        if (handlingSignals) {
+          process.removeListener("SIGTERM", handleSignal);
+          process.removeListener("SIGINT", handleSignal);
+          handlingSignals = false;
+        }
+
+        if (listening) {
+          server.close();
+          listening = false;
+        }
+
+        waitForRequests(waitTime, function () {
+          disconnectClients();
+
+          // Closes idle keep-alive connections.
+          connections.slice().forEach(function (socket) {
+            socket.destroy();
+          });
+
+          destroyModules(waitTime, function () {
+            LOG.info("Module manager closed.");
+            closing = false;
+
+            if (callback) {
+              callback();
+            }
+          });
+        });
+      },
+
+      /** Registers a module into the global context. Once registered, modules
+       * will handle requests that match their context path.
+       *
+       * @param {WebModules.Module} module Module to register. Cannot be null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      register: function (module) {
+        LOG.info("Registering module " + module.getContextPath());
+        configureModule(module);
+      },
+
+      /** Unregisters modules from the global context. Routes, filters, static
+       * content mappings and socket.io handlers of the modules are removed.
+       * Requests to the context path are handled by the next module that
+       * matches the request, if any.
+       *
+       * @param {WebModules.Module|String} moduleOrContextPath Either the module
+       *   to unregister or a context path to unregister all modules in that
+       *   path. Cannot be null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      unregister: function (moduleOrContextPath) {
+        var removed = modulesDescriptions.filter(function (description) {
+          return description.module === moduleOrContextPath ||
+            description.module.getContextPath() === moduleOrContextPath;
+        });
+
+        if (removed.length === 0) {
+          throw new Error("There's no registered module for " +
+            (typeof moduleOrContextPath === "string" ? moduleOrContextPath :
+              moduleOrContextPath.getContextPath()));
+        }
+        modulesDescriptions = modulesDescriptions.filter(
+          function (description) {
+            return removed.indexOf(description) === -1;
+          });
+
+        removed.forEach(function (description) {
+          LOG.info("Unregistering module " +
+            description.module.getContextPath());
+          destroyModule(description);
+        });
+      },
+
+      /** Returns the registered modules.
+       *
+       * @return {WebModules.Module[]} The list of modules, in order of
+       *   registration. Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      getModules: function () {
+        return modulesDescriptions.map(function (description) {
+          return description.module;
+        });
+      },
+
+      /** Returns the route table of all registered modules. Look at
+       * {@link WebModules.Module#getRouteTable} for the entries description.
+       *
+       * @return {Object[]} The route table, in order of module registration.
+       *   Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      getRouteTable: function () {
+        return modulesDescriptions.reduce(function (table, description) {
+          return table.concat(description.module.getRouteTable());
+        }, []);
+      },
+
+      /** Resolves the routes that match a request, in the order they're
+       * evaluated. Routes that don't handle the request delegate to the next
+       * route, so every route in the list may take part in the response.
+       *
+       * @param {String} method HTTP method. Cannot be null.
+       * @param {String} url Request url, the query string is ignored. Cannot
+       *   be null.
+       * @return {Object[]} The route table entries that match the request.
+       *   Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      resolveRoutes: function (method, url) {
+        var path = require("url").parse(url).pathname || "/";
+
+        return modulesDescriptions.reduce(function (routes, description) {
+          return routes.concat(description.module.resolveRoutes(method,
+            path));
+        }, []);
+      },
+
+      /** Returns the express application.
+       *
+       * @return {Express} The express application. Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      app: function () {
+        return app;
+      },
+
+      /** Returns the socket.io server. Modules should send messages through
+       * {@link WebModules.Module#messaging} instead.
+       *
+       * @return {Object} The socket.io server. Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      websocket: function () {
+        return websocket;
+      },
+
+      /** Returns the url pattern of a named route in any registered module.
+       *
+       * @param {String} name Route name. Cannot be null.
+       * @return {WebModules.RoutePattern} The route pattern, or null if there's
+       *   no route with the specified name.
+       * @methodOf WebModules.ModuleManager#
+       */
+      getRoute: getRoute,
+
+      /** Builds the url of a named route, including the module context path.
+       * This function is also available in views as <code>urlFor</code>.
+       *
+       * @param {String} name Route name. Cannot be null.
+       * @param {Object} [params] Values for the route parameters. Parameters
+       *   that aren't in the route are appended as query string. Can be null.
+       * @return {String} The route url. Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      urlFor: urlFor,
+
+      /** Returns the registry of serializers available to all modules. New
+       * serializers registered into this registry are available in every
+       * module.
+       *
+       * @return {WebModules.SerializerRegistry} The global registry. Never
+       *   returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      serializers: function () {
+        return serializerRegistry;
+      },
+
+      /** Returns the registry of services available to all modules. Modules
+       * can override global services registering their own services with
+       * the same name.
+       *
+       * @return {WebModules.ServiceRegistry} The global registry. Never
+       *   returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      services: function () {
+        return serviceRegistry;
+      },
+
+      /** Sets the store that keeps flash attributes between a redirect and
+       * the next rendered view. Look at {@link WebModules.CookieFlashStore}
+       * for the contract.
+       *
+       * @param {Object} theFlashStore Flash store. Cannot be null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      setFlashStore: function (theFlashStore) {
+        if (!theFlashStore) {
+          throw new Error("The flash store cannot be null.");
+        }
+        flashStore = theFlashStore;
+      },
+
+      /** Returns the store that keeps flash attributes.
+       *
+       * @return {Object} The flash store. Never returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      getFlashStore: function () {
+        return flashStore;
+      },
+
+      /** Creates an isolated module manager. Isolated managers have their own
+       * express application, server and modules, and they don't listen for
+       * connections until <code>listen()</code> is invoked. They're useful
+       * to test modules without sharing state.
+       *
+       * @param {Object} [options] Manager options. The
+       *   <code>websocket</code> option is the socket.io server used by
+       *   WebSocket modules. Default is a new socket.io server. Can be null.
+       * @return {WebModules.ModuleManager} A new module manager. Never
+       *   returns null.
+       * @methodOf WebModules.ModuleManager#
+       */
+      create: createModuleManager
+    };
+
+    return moduleManager;
+  };
+
+  return createModuleManager();
 }());
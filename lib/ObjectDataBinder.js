@@ -1,41 +1,492 @@
 /** Binds arbitrary parameters to properties in a host object.
  *
  * Only parameters that also exist as properties in the host object will be
- * set in the object.
+ * set in the object. Function properties are never bound.
+ * <p>
+ * Parameter names can be paths to bind nested objects and arrays, for instance
+ * <code>user.address.city</code>, <code>user[address][city]</code>,
+ * <code>items[0].name</code> or <code>tags[]</code>. The first part of the
+ * path must exist in the host object; missing nested objects and arrays are
+ * created as needed. Existing nested objects are only changed in place if the
+ * binding schema declares them; otherwise they're replaced by a copy, since
+ * they may be shared with other objects. Paths that contain
+ * <code>__proto__</code>, <code>prototype</code> or <code>constructor</code>
+ * are ignored.
+ * </p>
+ * <p>
+ * Values are converted to the type of the property initial value. If the
+ * initial value is a number, a boolean, a date or an array, the parameter is
+ * converted to the same type. The binding schema overrides this behaviour. It
+ * is an object that maps property names to types: <code>String</code>,
+ * <code>Number</code>, <code>Boolean</code>, <code>Date</code>,
+ * <code>Array</code>, an array with the element type, for instance
+ * <code>[Number]</code>, a nested schema object, or a function that takes
+ * the raw value and returns the converted value. Converter functions throw
+ * an error if the value is not valid.
+ * </p>
+ * <p>
+ * Values that cannot be converted are not bound, and they're reported as
+ * binding errors.
+ * </p>
  *
  * @param {Object} host Object for binding parameters to. Cannot be null.
+ * @param {Object} [schema] Binding schema. If it's null, the schema returned
+ *   by <code>host.getBindingSchema()</code> is used, if it exists.
  * @constructor
  */
-WebModules.ObjectDataBinder = function (host) {
+WebModules.ObjectDataBinder = function (host, schema) {
+
+  /** Error code for values that cannot be converted to the property type.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var TYPE_MISMATCH = "typeMismatch";
+
+  /** Values accepted as true for boolean properties.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var TRUE_VALUES = ["true", "on", "yes", "1"];
+
+  /** Values accepted as false for boolean properties.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var FALSE_VALUES = ["false", "off", "no", "0", ""];
+
+  /** Property names that are never bound, since they give access to the
+   * object prototypes.
+   * @constant
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var RESERVED_NAMES = ["__proto__", "prototype", "constructor"];
+
+  /** Schema that describes properties types.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var bindingSchema = schema || (typeof host.getBindingSchema === "function" ?
+    host.getBindingSchema() : {}) || {};
+
+  /** List of errors found while binding parameters.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var errors = [];
+
+  /** Names of the host properties that are never bound.
+   * @type String[]
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var excludedProperties = [];
+
+  /** Nested objects created or copied by the current binding. They can be
+   * changed in place.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var createdObjects = [];
+
+  /** Determines whether the specified value is a plain object.
+   * @param {Object} value Value to check. Can be null.
+   * @return {Boolean} true if the value is a plain object, false otherwise.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var isPlainObject = function (value) {
+    return Object.prototype.toString.call(value) === "[object Object]";
+  };
+
+  /** Creates a shallow copy of an object or an array.
+   * @param {Object} value Object to copy. Cannot be null.
+   * @return {Object} The new object, with the same prototype and own
+   *   properties. Never returns null.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var copy = function (value) {
+    var result;
+    var name;
+
+    if (Array.isArray(value)) {
+      return value.slice();
+    }
+    result = Object.create(Object.getPrototypeOf(value));
+
+    for (name in value) {
+      if (value.hasOwnProperty(name)) {
+        result[name] = value[name];
+      }
+    }
+    return result;
+  };
+
+  /** Splits a parameter name into the list of property names in the path.
+   * @type Function
+   * @private
+   * @fieldOf WebModules.ObjectDataBinder#
+   */
+  var parsePath = WebModules.ObjectDataBinder.parsePath;
+
+  /** Determines whether a property name is reserved and cannot be bound.
+   * @param {String} name Property name. Cannot be null.
+   * @return {Boolean} true if the name is reserved, false otherwise.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var isReserved = function (name) {
+    return RESERVED_NAMES.indexOf(name) > -1;
+  };
+
+  /** Builds the canonical name of a property path.
+   * @param {String[]} segments Property names in the path. Cannot be null.
+   * @return {String} The property path, for instance
+   *   <code>items[0].name</code>. Never returns null.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var formatPath = function (segments) {
+    return segments.reduce(function (path, segment) {
+      if (/^\d*$/.test(segment)) {
+        return path + "[" + segment + "]";
+      }
+      return path ? path + "." + segment : segment;
+    }, "");
+  };
+
+  /** Returns the schema of a property within the specified schema.
+   * @param {Object} node Schema of the property owner. Can be null.
+   * @param {String} name Property name. Cannot be null.
+   * @return {Object} The property schema, or undefined if it isn't defined.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var childSchema = function (node, name) {
+    if (Array.isArray(node)) {
+      return node[0];
+    }
+    if (isPlainObject(node)) {
+      return node[name];
+    }
+    return undefined;
+  };
+
+  /** Flattens parameters into a list of fields. Each field contains the
+   * property path and the raw value.
+   *
+   * @param {String[]} segments Path of the value. Cannot be null.
+   * @param {Object} value Value to flatten. Can be null.
+   * @param {Object[]} fields List to add fields to. Cannot be null.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var collect = function (segments, value, fields) {
+    var name;
+
+    if (isPlainObject(value)) {
+      for (name in value) {
+        if (value.hasOwnProperty(name)) {
+          collect(segments.concat(parsePath(name)), value[name], fields);
+        }
+      }
+    } else if (Array.isArray(value) && value.some(isPlainObject)) {
+      value.forEach(function (item, index) {
+        collect(segments.concat(String(index)), item, fields);
+      });
+    } else {
+      fields.push({
+        segments: segments,
+        value: value
+      });
+    }
+  };
+
+  /** Converts a single value to the specified type.
+   *
+   * @param {Object} value Value to convert. Can be null.
+   * @param {Object} type Type described in the binding schema. If it's
+   *   undefined, the type is resolved from the current value.
+   * @param {Object} current Current property value. Can be null.
+   * @return {Object} The converted value.
+   * @throws {TypeError} If the value cannot be converted.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var convertValue = function (value, type, current) {
+    var targetType = type;
+    var converted;
+    var text;
+
+    if (targetType === undefined) {
+      if (typeof current === "number") {
+        targetType = Number;
+      } else if (typeof current === "boolean") {
+        targetType = Boolean;
+      } else if (current instanceof Date) {
+        targetType = Date;
+      }
+    }
+    if (value === null || value === undefined || !targetType ||
+        isPlainObject(targetType)) {
+      return value;
+    }
+
+    text = String(value).trim();
+
+    if (targetType === String) {
+      converted = String(value);
+    } else if (targetType === Number) {
+      converted = (text === "") ? null : Number(text);
+
+      if (converted !== null && isNaN(converted)) {
+        throw new TypeError("'" + value + "' is not a valid number.");
+      }
+    } else if (targetType === Boolean) {
+      if (typeof value === "boolean") {
+        converted = value;
+      } else if (TRUE_VALUES.indexOf(text.toLowerCase()) > -1) {
+        converted = true;
+      } else if (FALSE_VALUES.indexOf(text.toLowerCase()) > -1) {
+        converted = false;
+      } else {
+        throw new TypeError("'" + value + "' is not a valid boolean.");
+      }
+    } else if (targetType === Date) {
+      if (value instanceof Date) {
+        converted = value;
+      } else if (text === "") {
+        converted = null;
+      } else {
+        converted = new Date(/^-?\d+$/.test(text) ? Number(text) : text);
+      }
+      if (converted !== null && isNaN(converted.getTime())) {
+        throw new TypeError("'" + value + "' is not a valid date.");
+      }
+    } else if (targetType === Array) {
+      converted = value;
+    } else {
+      // Custom converter.
+      converted = targetType(value);
+    }
+
+    return converted;
+  };
+
+  /** Converts a value to the type of the target property.
+   *
+   * @param {Object} value Value to convert. Can be null.
+   * @param {Object} type Type described in the binding schema. Can be
+   *   undefined.
+   * @param {Object} current Current property value. Can be null.
+   * @param {Boolean} asArray Indicates whether the value must be converted
+   *   to an array.
+   * @return {Object} The converted value.
+   * @throws {TypeError} If the value cannot be converted.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var convert = function (value, type, current, asArray) {
+    var elementType;
+
+    if (asArray || type === Array || Array.isArray(type) ||
+        Array.isArray(current)) {
+      elementType = Array.isArray(type) ? type[0] : undefined;
+
+      if (elementType === undefined && Array.isArray(current) &&
+          current.length > 0) {
+        return [].concat(value).map(function (item) {
+          return convertValue(item, undefined, current[0]);
+        });
+      }
+      return [].concat(value).map(function (item) {
+        return convertValue(item, elementType);
+      });
+    }
+
+    return convertValue(value, type, current);
+  };
+
+  /** Sets a single field into the host object. If the value cannot be
+   * converted, it registers a binding error. Nested values are only set into
+   * own properties of the host, or into objects created by this binder.
+   * Existing nested objects not declared in the schema are copied before
+   * they're changed.
+   *
+   * @param {String[]} path Property path. Cannot be null.
+   * @param {Object} value Value to set. Can be null.
+   * @private
+   * @methodOf WebModules.ObjectDataBinder#
+   */
+  var assign = function (path, value) {
+    var segments = path.slice();
+    var asArray = false;
+    var target = host;
+    var node = bindingSchema;
+    var next;
+    var name;
+    var i;
+
+    while (segments.length > 1 && segments[segments.length - 1] === "") {
+      segments.pop();
+      asArray = true;
+    }
+    if (segments.length === 0 || !host.hasOwnProperty(segments[0]) ||
+        excludedProperties.indexOf(segments[0]) > -1 ||
+        segments.some(isReserved)) {
+      return;
+    }
+
+    for (i = 0; i < segments.length - 1; i++) {
+      name = segments[i];
+      node = childSchema(node, name);
+
+      if (Array.isArray(target) && name === "") {
+        name = target.length;
+      }
+      if (typeof target[name] === "function") {
+        return;
+      }
+      next = Object.prototype.hasOwnProperty.call(target, name) ?
+        target[name] : undefined;
+
+      if (next === null || next === undefined || typeof next !== "object") {
+        if (/^\d*$/.test(segments[i + 1]) || Array.isArray(node)) {
+          next = [];
+        } else {
+          next = {};
+        }
+        createdObjects.push(next);
+        target[name] = next;
+      } else if (createdObjects.indexOf(next) === -1 &&
+          !Array.isArray(node) && !isPlainObject(node)) {
+        next = copy(next);
+        createdObjects.push(next);
+        target[name] = next;
+      }
+      target = next;
+    }
+
+    name = segments[segments.length - 1];
+    node = childSchema(node, name);
+
+    if (typeof target[name] === "function") {
+      return;
+    }
+
+    try {
+      target[name] = convert(value, node, target[name], asArray);
+    } catch (cause) {
+      errors.push({
+        field: formatPath(segments),
+        value: value,
+        code: TYPE_MISMATCH,
+        message: cause.message
+      });
+    }
+  };
 
   return {
 
     /** Binds parameters to the host object.
      *
      * This method doesn't check whether parameters already are bound to the
-     * host or not, it just performs the binding over the host.
+     * host or not, it just performs the binding over the host. Parameters
+     * are bound in order, so the last ones take precedence.
      *
      * @return {Object} Returns the host object, for convenience. Never returns
      *   null.
      */
     bind: function (params/**, params... */) {
-      var fields = {};
+      var fields = [];
+      var name;
       var i;
 
+      createdObjects = [];
+
       for (i = 0; i < arguments.length; i++) {
-        if (arguments[i]) {
-          WebModules.extend(fields, arguments[i]);
+        for (name in arguments[i]) {
+          if (arguments[i].hasOwnProperty(name)) {
+            collect(parsePath(name), arguments[i][name], fields);
+          }
         }
       }
 
-      for (name in fields) {
-        if (fields.hasOwnProperty(name) &&
-            host.hasOwnProperty(name)) {
-          host[name] = fields[name];
-        }
-      }
+      fields.forEach(function (field) {
+        assign(field.segments, field.value);
+      });
+      createdObjects = [];
 
       return host;
+    },
+
+    /** Prevents a host property from being bound, including its nested
+     * properties.
+     *
+     * @param {String} property Name of the host property. Cannot be null.
+     * @return {WebModules.ObjectDataBinder} Returns this binder, for
+     *   convenience. Never returns null.
+     */
+    exclude: function (property) {
+      excludedProperties.push(property);
+
+      return this;
+    },
+
+    /** Determines whether a host property is excluded from binding.
+     *
+     * @param {String} property Name of the host property. Cannot be null.
+     * @return {Boolean} Returns true if the property is excluded, false
+     *   otherwise.
+     */
+    isExcluded: function (property) {
+      return excludedProperties.indexOf(property) > -1;
+    },
+
+    /** Returns the errors found while binding parameters.
+     *
+     * @return {Object[]} A list of errors. Each error has the property path
+     *   as <code>field</code>, the rejected <code>value</code>, the error
+     *   <code>code</code> and the error <code>message</code>. Never returns
+     *   null.
+     */
+    getErrors: function () {
+      return errors.slice();
+    },
+
+    /** Determines whether there're binding errors.
+     *
+     * @return {Boolean} true if any value couldn't be bound, false otherwise.
+     */
+    hasErrors: function () {
+      return errors.length > 0;
     }
   };
 };
+
+/** Splits a property path into the list of property names in the path.
+ * For instance, <code>items[0].name</code> is split into
+ * <code>["items", "0", "name"]</code>. It's shared by the binder and the
+ * {@link WebModules.Validator}, so both read paths the same way.
+ *
+ * @param {String} name Property path. Cannot be null.
+ * @return {String[]} The list of property names. Never returns null.
+ * @methodOf WebModules.ObjectDataBinder
+ */
+WebModules.ObjectDataBinder.parsePath = function (name) {
+  var segments = [];
+
+  String(name).replace(/\[([^\]]*)\]|([^.\[\]]+)/g,
+    function (match, indexed, plain) {
+      segments.push(indexed !== undefined ? indexed : plain);
+    });
+
+  return segments;
+};
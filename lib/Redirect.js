@@ -1,4 +1,9 @@
 /** Represents a redirect to the specified url.
+ *
+ * Redirects can carry flash attributes, for instance a confirmation message
+ * in a post-redirect-get flow. Flash attributes are kept by the module
+ * manager flash store and they're exposed as the <code>flash</code> object
+ * in the model of the next rendered view, then they're discarded.
  *
  * @param {String} target Url or route name to redirect the response to. If
  *    it's null the existing redirect will be removed.
@@ -27,6 +32,36 @@ WebModules.Redirect = function (target, status, options) {
      * @type Object
      * @fieldOf WebModules.Redirect#
      */
-    options: options || {}
+    options: options || {},
+
+    /** Attributes exposed to the next rendered view. Cannot be null.
+     * @type Object
+     * @fieldOf WebModules.Redirect#
+     */
+    flashAttributes: {},
+
+    /** Adds a flash attribute to this redirect.
+     *
+     * @param {String} name Attribute name. Cannot be null.
+     * @param {Object} value Attribute value. It must be serializable as JSON.
+     *   Can be null.
+     * @return {WebModules.Redirect} Returns this redirect, for convenience.
+     *   Never returns null.
+     * @methodOf WebModules.Redirect#
+     */
+    flash: function (name, value) {
+      this.flashAttributes[name] = value;
+
+      return this;
+    },
+
+    /** Determines whether this redirect has flash attributes.
+     *
+     * @return {Boolean} true if there's any flash attribute, false otherwise.
+     * @methodOf WebModules.Redirect#
+     */
+    hasFlashAttributes: function () {
+      return Object.keys(this.flashAttributes).length > 0;
+    }
   });
 };
@@ -4,8 +4,8 @@
  */
 WebModules.RequestHandler = function (server) {
 
-  /** Filters executed before endpoints handlers.
-   * @type Object[]
+  /** Filter mappings executed before endpoints handlers.
+   * @type Object[][]
    * @private
    * @fieldOf WebModules.RequestHandler#
    */
@@ -18,6 +18,34 @@ WebModules.RequestHandler = function (server) {
    */
   var viewResolver = null;
 
+  /** Resolvers to map errors to responses, in order of precedence.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.RequestHandler#
+   */
+  var exceptionResolvers = [];
+
+  /** Registry of serializers to write models in formats other than views.
+   * @type WebModules.SerializerRegistry
+   * @private
+   * @fieldOf WebModules.RequestHandler#
+   */
+  var serializerRegistry = null;
+
+  /** Source of the translated messages.
+   * @type WebModules.MessageSource
+   * @private
+   * @fieldOf WebModules.RequestHandler#
+   */
+  var messageSource = null;
+
+  /** Resolver to determine the locale of requests.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.RequestHandler#
+   */
+  var localeResolver = null;
+
   /** Represents the current execution of a chain of filters.
    *
    * @param {Function} nextCallback Function invoked to force the next filter
@@ -62,49 +90,98 @@ WebModules.RequestHandler = function (server) {
       throw new Error("Must be implemented by the subclass.");
     },
 
+    /** Removes all endpoints registered by this request handler. Once
+     * destroyed, requests are no longer handled by this request handler.
+     *
+     * @methodOf WebModules.RequestHandler#
+     */
+    destroy: function () {
+      throw new Error("Must be implemented by the subclass.");
+    },
+
     /** Executes the filter chain and invokes the request handler after filters
-     * execution.
+     * execution. Only filters mapped to the request path and method are
+     * executed.
      *
      * @param {Object} req Request object. Cannot be null.
      * @param {Object} res Response object. Cannot be null.
      * @param {Function} callback Function invoked once all filters were
-     *    executed. Cannot be null.
+     *    executed. It takes a flag that indicates whether the chain was
+     *    stopped, the error raised by a filter, if any, and the list of
+     *    executed filters. Cannot be null.
      * @methodOf WebModules.RequestHandler#
      */
     processFilters: function (req, res, callback) {
-      var filterList = [];
-
-      filters.forEach(function (filter) {
-        filterList = filterList.concat(filter);
-      });
+      var filterList = WebModules.RequestHandler.matchFilters(filters,
+        req.path, req.method);
+      var executedFilters = [];
 
       var processFilter = function (filter) {
         var filterChain;
 
         if (!filter) {
-          callback(false);
+          callback(false, null, executedFilters);
           return;
         }
 
         filterChain = new FilterChain(processFilter
-          .bind(this, filterList.shift()), callback.bind(this, true));
+          .bind(this, filterList.shift()),
+          callback.bind(this, true, null, executedFilters));
+
+        executedFilters.push(filter);
 
         try {
-          filter.execute(req, res, filterChain);
+          if (filter.execute) {
+            filter.execute(req, res, filterChain);
+          } else {
+            filterChain.next();
+          }
         } catch (cause) {
-          callback(true, cause);
+          callback(true, cause, executedFilters);
         }
       };
       processFilter(filterList.shift());
     },
 
+    /** Invokes the <code>postHandle</code> hook of the specified filters in
+     * reverse order, before the response is written. Hooks may modify the
+     * model and view or return a new one that replaces it.
+     *
+     * @param {Object} req Request object. Cannot be null.
+     * @param {Object} res Response object. Cannot be null.
+     * @param {Object[]} executedFilters Filters executed for the request.
+     *    Cannot be null.
+     * @param {WebModules.ModelAndView} modelAndView Model and view returned
+     *    by the controller. Cannot be null.
+     * @return {WebModules.ModelAndView} The model and view to write the
+     *    response. Never returns null.
+     * @methodOf WebModules.RequestHandler#
+     */
+    postHandle: function (req, res, executedFilters, modelAndView) {
+      return executedFilters.slice().reverse().reduce(
+        function (current, filter) {
+          var result;
+
+          if (typeof filter.postHandle !== "function") {
+            return current;
+          }
+          result = filter.postHandle(req, res, current);
+
+          return (result instanceof WebModules.ModelAndView) ? result :
+            current;
+        }, modelAndView);
+    },
+
     /** Sets the list of filters that will be executed before endpoint
      * handlers.
      *
      * Each position in the list represents the execution order, and each
-     * list in that position contains filters objects.
+     * list in that position contains filter mappings. A mapping has the
+     * <code>filter</code> object and the <code>include</code> and
+     * <code>exclude</code> lists of {@link WebModules.RoutePattern}s and the
+     * list of HTTP <code>methods</code> the filter applies to.
      *
-     * @param {Object[][]} theFilters List of filters. Cannot be null.
+     * @param {Object[][]} theFilters List of filter mappings. Cannot be null.
      * @methodOf WebModules.RequestHandler#
      */
     setFilters: function (theFilters) {
@@ -127,6 +204,161 @@ WebModules.RequestHandler = function (server) {
      */
     getViewResolver: function () {
       return viewResolver;
+    },
+
+    /** Sets the registry of serializers used to write models in formats
+     * other than views.
+     *
+     * @param {WebModules.SerializerRegistry} theSerializerRegistry Registry of
+     *   serializers. Cannot be null.
+     * @methodOf WebModules.RequestHandler#
+     */
+    setSerializerRegistry: function (theSerializerRegistry) {
+      serializerRegistry = theSerializerRegistry;
+    },
+
+    /** Returns the configured serializer registry, if any.
+     *
+     * @return {WebModules.SerializerRegistry} A valid registry, or null if it
+     *   isn't configured.
+     * @methodOf WebModules.RequestHandler#
+     */
+    getSerializerRegistry: function () {
+      return serializerRegistry;
+    },
+
+    /** Sets the list of exception resolvers. Resolvers are evaluated in
+     * order and the first one that handles the error builds the response.
+     *
+     * @param {Object[]} theExceptionResolvers List of exception resolvers.
+     *    Cannot be null.
+     * @methodOf WebModules.RequestHandler#
+     */
+    setExceptionResolvers: function (theExceptionResolvers) {
+      exceptionResolvers = theExceptionResolvers;
+    },
+
+    /** Resolves the specified error using the first exception resolver that
+     * handles it.
+     *
+     * @param {Object} error Error to resolve. Can be null.
+     * @param {Function} [translate] Function to resolve the error message.
+     *    Look at {@link WebModules.RequestHandler#createTranslator}. Can be
+     *    null.
+     * @return {WebModules.ModelAndView} The model and view to write the
+     *    response, or null if there's no resolver for the error.
+     * @methodOf WebModules.RequestHandler#
+     */
+    resolveException: function (error, translate) {
+      var i;
+
+      for (i = 0; i < exceptionResolvers.length; i++) {
+        if (exceptionResolvers[i].canResolve(error)) {
+          return exceptionResolvers[i].resolve(error, translate);
+        }
+      }
+      return null;
+    },
+
+    /** Sets the source of the translated messages.
+     *
+     * @param {WebModules.MessageSource} theMessageSource Message source.
+     *   Cannot be null.
+     * @methodOf WebModules.RequestHandler#
+     */
+    setMessageSource: function (theMessageSource) {
+      messageSource = theMessageSource;
+    },
+
+    /** Returns the source of the translated messages, if any.
+     *
+     * @return {WebModules.MessageSource} A valid message source, or null if
+     *   it isn't configured.
+     * @methodOf WebModules.RequestHandler#
+     */
+    getMessageSource: function () {
+      return messageSource;
+    },
+
+    /** Sets the resolver to determine the locale of requests. Look at
+     * {@link WebModules.LocaleResolver} for the contract.
+     *
+     * @param {Object} theLocaleResolver Locale resolver. Cannot be null.
+     * @methodOf WebModules.RequestHandler#
+     */
+    setLocaleResolver: function (theLocaleResolver) {
+      localeResolver = theLocaleResolver;
+    },
+
+    /** Resolves the locale of a request. Only the locales that have
+     * messages are accepted.
+     *
+     * @param {Object} req Request to resolve the locale. It has the
+     *   <code>headers</code> and the <code>query</code>. Cannot be null.
+     * @return {String} The request locale, or null if there's no locale
+     *   resolver.
+     * @methodOf WebModules.RequestHandler#
+     */
+    resolveLocale: function (req) {
+      if (localeResolver === null) {
+        return null;
+      }
+      return localeResolver.resolveLocale(req,
+        messageSource ? messageSource.getLocales() : [],
+        messageSource ? messageSource.getDefaultLocale() : null);
+    },
+
+    /** Creates a function that translates messages into a locale. The
+     * function takes a code or a list of codes, the message arguments and
+     * the default message, and it returns the translated message.
+     *
+     * @param {String} [locale] Locale to translate messages into. Default is
+     *   the message source default locale.
+     * @return {Function} The translation function. Never returns null.
+     * @methodOf WebModules.RequestHandler#
+     */
+    createTranslator: function (locale) {
+      return function (codes, args, defaultMessage) {
+        if (messageSource === null) {
+          return (defaultMessage !== undefined && defaultMessage !== null) ?
+            defaultMessage : String([].concat(codes)[0]);
+        }
+        return messageSource.getMessage(codes, args, locale, defaultMessage);
+      };
     }
   };
 };
+
+/** Returns the filters that apply to a request, in order of execution.
+ * Mappings without include patterns apply to every path, and mappings
+ * without methods apply to every HTTP method. It's shared by request handlers
+ * and by the module route table, so both select the same filters.
+ *
+ * @param {Object[][]} filters Filter mappings grouped by priority. Groups can
+ *   be null. Cannot be null.
+ * @param {String} path Request path relative to the module. Cannot be null.
+ * @param {String} [method] Request HTTP method. If it's null, filters mapped
+ *   to any method are included. Can be null.
+ * @return {Object[]} The list of filters. Never returns null.
+ * @methodOf WebModules.RequestHandler
+ */
+WebModules.RequestHandler.matchFilters = function (filters, path, method) {
+  var matches = function (pattern) {
+    return pattern.matches(path);
+  };
+
+  return filters.reduce(function (mappings, group) {
+    return mappings.concat(group || []);
+  }, []).filter(function (mapping) {
+    if (method && mapping.methods.length > 0 &&
+        mapping.methods.indexOf(method.toUpperCase()) === -1) {
+      return false;
+    }
+    if (mapping.include.length > 0 && !mapping.include.some(matches)) {
+      return false;
+    }
+    return !mapping.exclude.some(matches);
+  }).map(function (mapping) {
+    return mapping.filter;
+  });
+};
@@ -0,0 +1,175 @@
+/** Represents the url pattern of a route, for instance
+ * <code>/module/webapp/profile/:userId</code>. It expands patterns into urls
+ * and matches paths against them.
+ *
+ * Patterns support named parameters, optional parameters such as
+ * <code>:format?</code> and wildcards. Wildcards are replaced in order by the
+ * <code>0</code>, <code>1</code>, ... parameters.
+ *
+ * @param {String} pattern Express url pattern. Cannot be null or empty.
+ * @constructor
+ */
+WebModules.RoutePattern = function (pattern) {
+
+  /** Matches named parameters in the pattern.
+   * @constant
+   * @private
+   * @fieldOf WebModules.RoutePattern#
+   */
+  var PARAM_EXPRESSION = /(\/)?(\.)?:(\w+)(?:\(.*?\))?(\?)?/g;
+
+  /** Node query string module.
+   * @private
+   * @fieldOf WebModules.RoutePattern#
+   */
+  var querystring = require("querystring");
+
+  /** Matches either named parameters or wildcards in the pattern.
+   * @constant
+   * @private
+   * @fieldOf WebModules.RoutePattern#
+   */
+  var TOKEN_EXPRESSION = /(\/)?(\.)?:(\w+)(?:\(.*?\))?(\?)?|\*/g;
+
+  /** Regular expression to match paths, it's lazily built.
+   * @type RegExp
+   * @private
+   * @fieldOf WebModules.RoutePattern#
+   */
+  var expression = null;
+
+  /** Escapes regular expression special characters.
+   * @param {String} value Value to escape. Cannot be null.
+   * @return {String} The escaped value. Never returns null.
+   * @private
+   * @methodOf WebModules.RoutePattern#
+   */
+  var escape = function (value) {
+    return value.replace(/[\-\[\]\/{}()+?.\\^$|]/g, "\\$&");
+  };
+
+  /** Builds the regular expression to match paths.
+   * @return {RegExp} A valid regular expression. Never returns null.
+   * @private
+   * @methodOf WebModules.RoutePattern#
+   */
+  var buildExpression = function () {
+    var source = "";
+    var lastIndex = 0;
+    var prefix;
+    var match;
+
+    TOKEN_EXPRESSION.lastIndex = 0;
+
+    while ((match = TOKEN_EXPRESSION.exec(pattern)) !== null) {
+      source += escape(pattern.substring(lastIndex, match.index));
+
+      if (match[0] === "*") {
+        source += "(.*)";
+      } else {
+        prefix = escape((match[1] || "") + (match[2] || ""));
+        source += match[4] ? "(?:" + prefix + "([^/]+?))?" :
+          prefix + "([^/]+?)";
+      }
+      lastIndex = TOKEN_EXPRESSION.lastIndex;
+    }
+    source += escape(pattern.substr(lastIndex));
+
+    return new RegExp("^" + source + "\\/?$", "i");
+  };
+
+  /** Determines whether a parameter value is empty.
+   * @param {Object} value Value to check. Can be null.
+   * @return {Boolean} true if the value is empty, false otherwise.
+   * @private
+   * @methodOf WebModules.RoutePattern#
+   */
+  var isEmpty = function (value) {
+    return value === null || value === undefined || value === "";
+  };
+
+  return {
+    /** Returns the names of the parameters in the pattern.
+     *
+     * @return {String[]} The list of parameters names. Never returns null.
+     * @methodOf WebModules.RoutePattern#
+     */
+    getParamNames: function () {
+      var names = [];
+
+      pattern.replace(PARAM_EXPRESSION, function (match, slash, dot, name) {
+        names.push(name);
+      });
+
+      return names;
+    },
+
+    /** Determines whether a path matches this pattern.
+     *
+     * @param {String} path Path to check. Cannot be null.
+     * @return {Boolean} true if the path matches, false otherwise.
+     * @methodOf WebModules.RoutePattern#
+     */
+    matches: function (path) {
+      if (expression === null) {
+        expression = buildExpression();
+      }
+      return expression.test(path);
+    },
+
+    /** Returns the url pattern.
+     * @return {String} A valid pattern. Never returns null.
+     * @methodOf WebModules.RoutePattern#
+     */
+    getPattern: function () {
+      return pattern;
+    },
+
+    /** Builds an url from this pattern. Parameters that aren't in the pattern
+     * are appended as query string.
+     *
+     * @param {Object} [params] Parameters values. Can be null.
+     * @return {String} The url. Never returns null.
+     * @methodOf WebModules.RoutePattern#
+     */
+    expand: function (params) {
+      var values = WebModules.extend({}, params || {});
+      var wildcardIndex = 0;
+      var query;
+      var url;
+      var name;
+
+      url = pattern.replace(PARAM_EXPRESSION, function (match, slash, dot,
+          paramName, optional) {
+        var value = values[paramName];
+
+        delete values[paramName];
+
+        if (isEmpty(value)) {
+          if (!optional) {
+            throw new Error("Parameter " + paramName + " is required to " +
+              "build the url for " + pattern);
+          }
+          return "";
+        }
+        return (slash || "") + (dot || "") + encodeURIComponent(value);
+      }).replace(/\*/g, function () {
+        var value = values[wildcardIndex];
+
+        delete values[wildcardIndex];
+        wildcardIndex += 1;
+
+        return isEmpty(value) ? "" : String(value);
+      });
+
+      for (name in values) {
+        if (values.hasOwnProperty(name) && isEmpty(values[name])) {
+          delete values[name];
+        }
+      }
+      query = querystring.stringify(values);
+
+      return query ? url + "?" + query : url;
+    }
+  };
+};
@@ -0,0 +1,238 @@
+/** Registry of serializers that write models in formats other than views.
+ * <p>
+ * Serializers are objects that have the response <code>contentType</code>
+ * and a <code>serialize(data)</code> method that takes the model data and
+ * returns the response body as string. They're registered by format name,
+ * which is also the extension used in request paths to force the format, for
+ * instance <code>/foo.json</code>.
+ * </p>
+ * <p>
+ * Root registries provide JSON, XML and CSV serializers. Registries can
+ * extend a parent registry; serializers registered in the child registry
+ * take precedence over the parent ones.
+ * </p>
+ *
+ * @param {WebModules.SerializerRegistry} [parent] Registry to inherit
+ *   serializers from. If it's null, the default serializers are registered.
+ * @constructor
+ */
+WebModules.SerializerRegistry = function (parent) {
+
+  /** Serializers registered in this registry, by format.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.SerializerRegistry#
+   */
+  var serializers = {};
+
+  /** Formats registered in this registry, in order.
+   * @type String[]
+   * @private
+   * @fieldOf WebModules.SerializerRegistry#
+   */
+  var formats = [];
+
+  /** Escapes XML special characters.
+   * @param {String} value Value to escape. Cannot be null.
+   * @return {String} The escaped value. Never returns null.
+   * @private
+   * @methodOf WebModules.SerializerRegistry#
+   */
+  var escapeXml = function (value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+  };
+
+  /** Writes a value as XML element.
+   * @param {String} name Element name. Cannot be null.
+   * @param {Object} value Element value. Can be null.
+   * @return {String} The XML element. Never returns null.
+   * @private
+   * @methodOf WebModules.SerializerRegistry#
+   */
+  var toXml = function (name, value) {
+    var tagName = String(name).replace(/[^\w.\-]/g, "_");
+    var content = "";
+    var property;
+
+    if (!/^[A-Za-z_]/.test(tagName)) {
+      tagName = "_" + tagName;
+    }
+    if (Array.isArray(value)) {
+      content = value.map(function (item) {
+        return toXml("item", item);
+      }).join("");
+    } else if (value instanceof Date) {
+      content = escapeXml(value.toISOString());
+    } else if (value !== null && typeof value === "object") {
+      for (property in value) {
+        if (value.hasOwnProperty(property)) {
+          content += toXml(property, value[property]);
+        }
+      }
+    } else if (value !== null && value !== undefined) {
+      content = escapeXml(value);
+    }
+
+    return "<" + tagName + ">" + content + "</" + tagName + ">";
+  };
+
+  /** Writes a single value as CSV cell.
+   * @param {Object} value Cell value. Can be null.
+   * @return {String} The cell content. Never returns null.
+   * @private
+   * @methodOf WebModules.SerializerRegistry#
+   */
+  var toCsvCell = function (value) {
+    var cell;
+
+    if (value === null || value === undefined) {
+      return "";
+    }
+    if (value instanceof Date) {
+      cell = value.toISOString();
+    } else if (typeof value === "object") {
+      cell = JSON.stringify(value);
+    } else {
+      cell = String(value);
+    }
+    if (/[",\r\n]/.test(cell)) {
+      cell = "\"" + cell.replace(/"/g, "\"\"") + "\"";
+    }
+    return cell;
+  };
+
+  /** Writes a list of objects as CSV. The first row has the columns names.
+   * @param {Object} data Either an object or a list of objects. Can be null.
+   * @return {String} The CSV content. Never returns null.
+   * @private
+   * @methodOf WebModules.SerializerRegistry#
+   */
+  var toCsv = function (data) {
+    var columns = [];
+    var rows = [].concat(data === undefined ? [] : data).map(function (row) {
+      return (row !== null && typeof row === "object") ? row : {
+        value: row
+      };
+    });
+
+    rows.forEach(function (row) {
+      var column;
+
+      for (column in row) {
+        if (row.hasOwnProperty(column) && columns.indexOf(column) === -1) {
+          columns.push(column);
+        }
+      }
+    });
+
+    return [columns.map(toCsvCell).join(",")].concat(rows.map(function (row) {
+      return columns.map(function (column) {
+        return toCsvCell(row[column]);
+      }).join(",");
+    })).join("\r\n");
+  };
+
+  /** Registers the default serializers: JSON, XML and CSV.
+   * @param {WebModules.SerializerRegistry} registry Registry to register
+   *   serializers into. Cannot be null.
+   * @private
+   * @methodOf WebModules.SerializerRegistry#
+   */
+  var registerDefaults = function (registry) {
+    registry.register("json", {
+      contentType: "application/json",
+      serialize: function (data) {
+        return JSON.stringify(data);
+      }
+    });
+
+    registry.register("xml", {
+      contentType: "application/xml",
+      serialize: function (data) {
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+          toXml("model", data);
+      }
+    });
+
+    registry.register("csv", {
+      contentType: "text/csv",
+      serialize: toCsv
+    });
+  };
+
+  /** Registry public interface.
+   * @private
+   */
+  var registry = {
+    /** Registers a serializer for the specified format. It replaces any
+     * existing serializer for the format.
+     *
+     * @param {String} format Format name. Cannot be null or empty.
+     * @param {Object} serializer Serializer that has the
+     *   <code>contentType</code> and the <code>serialize(data)</code>
+     *   method. Cannot be null.
+     * @methodOf WebModules.SerializerRegistry#
+     */
+    register: function (format, serializer) {
+      if (!format) {
+        throw new Error("The format cannot be null or empty.");
+      }
+      if (!serializer || typeof serializer.serialize !== "function") {
+        throw new Error("The serializer must implement serialize().");
+      }
+      if (!serializers.hasOwnProperty(format)) {
+        formats.push(format);
+      }
+      serializers[format] = serializer;
+    },
+
+    /** Returns the serializer for the specified format.
+     *
+     * @param {String} format Format name. Cannot be null.
+     * @return {Object} The serializer, or null if there's no serializer for
+     *   the format.
+     * @methodOf WebModules.SerializerRegistry#
+     */
+    get: function (format) {
+      if (serializers.hasOwnProperty(format)) {
+        return serializers[format];
+      }
+      return parent ? parent.get(format) : null;
+    },
+
+    /** Returns the supported formats, including the parent registry formats.
+     *
+     * @return {String[]} The list of formats, in order of registration.
+     *   Never returns null.
+     * @methodOf WebModules.SerializerRegistry#
+     */
+    getFormats: function () {
+      var allFormats = parent ? parent.getFormats() : [];
+
+      formats.forEach(function (format) {
+        if (allFormats.indexOf(format) === -1) {
+          allFormats.push(format);
+        }
+      });
+
+      return allFormats;
+    },
+
+    /** Sets the registry to inherit serializers from.
+     *
+     * @param {WebModules.SerializerRegistry} theParent Parent registry. Cannot
+     *   be null.
+     * @methodOf WebModules.SerializerRegistry#
+     */
+    setParent: function (theParent) {
+      parent = theParent;
+    }
+  };
+
+  if (!parent) {
+    registerDefaults(registry);
+  }
+
+  return registry;
+};
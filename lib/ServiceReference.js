@@ -0,0 +1,25 @@
+/** Declares that a command property needs a service. Controllers replace
+ * the reference by the service registered with the same name before data
+ * binding, for instance:
+ * <pre>
+ *   this.orders = new WebModules.ServiceReference("orderRepository");
+ * </pre>
+ *
+ * @param {String} name Name of the referenced service. Cannot be null or
+ *    empty.
+ * @constructor
+ */
+WebModules.ServiceReference = function (name) {
+
+  if (!name) {
+    throw new Error("The service name cannot be null or empty.");
+  }
+
+  return WebModules.extend(this, {
+    /** Name of the referenced service.
+     * @type String
+     * @fieldOf WebModules.ServiceReference#
+     */
+    name: name
+  });
+};
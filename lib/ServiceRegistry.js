@@ -0,0 +1,162 @@
+/** Registry of services available to commands, like repositories or
+ * gateways.
+ * <p>
+ * Commands declare the services they need in two ways. Command constructors
+ * can list service names in the static <code>inject</code> property, and the
+ * services are passed as constructor arguments in the same order. Command
+ * properties can also be initialized with a
+ * {@link WebModules.ServiceReference}, that is replaced by the service before
+ * data binding.
+ * </p>
+ * <p>
+ * Registries can extend a parent registry; services registered in the child
+ * registry take precedence over the parent ones.
+ * </p>
+ *
+ * @param {WebModules.ServiceRegistry} [parent] Registry to inherit services
+ *   from. Can be null.
+ * @constructor
+ */
+WebModules.ServiceRegistry = function (parent) {
+
+  /** Services registered in this registry, by name.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.ServiceRegistry#
+   */
+  var services = {};
+
+  return {
+    /** Registers a service. It overrides the parent registry service with
+     * the same name.
+     *
+     * @param {String} name Service name. Cannot be null or empty.
+     * @param {Object} service Service instance. Cannot be null.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    register: function (name, service) {
+      if (!name) {
+        throw new Error("The service name cannot be null or empty.");
+      }
+      if (service === null || service === undefined) {
+        throw new Error("The service " + name + " cannot be null.");
+      }
+      services[name] = service;
+    },
+
+    /** Returns the service registered with the specified name.
+     *
+     * @param {String} name Service name. Cannot be null.
+     * @return {Object} The service, or null if there's no service with the
+     *   specified name.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    get: function (name) {
+      if (services.hasOwnProperty(name)) {
+        return services[name];
+      }
+      return parent ? parent.get(name) : null;
+    },
+
+    /** Returns the service registered with the specified name, failing if
+     * it doesn't exist.
+     *
+     * @param {String} name Service name. Cannot be null.
+     * @return {Object} The service. Never returns null.
+     * @throws {Error} If there's no service with the specified name.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    resolve: function (name) {
+      var service = this.get(name);
+
+      if (service === null) {
+        throw new Error("There's no service named " + name);
+      }
+      return service;
+    },
+
+    /** Determines whether the specified object is a service registered in
+     * this registry or in the parent registry. Primitive values are never
+     * considered services.
+     *
+     * @param {Object} object Object to check. Can be null.
+     * @return {Boolean} true if the object is a registered service, false
+     *   otherwise.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    isService: function (object) {
+      var name;
+
+      if (object === null || (typeof object !== "object" &&
+          typeof object !== "function")) {
+        return false;
+      }
+      for (name in services) {
+        if (services.hasOwnProperty(name) && services[name] === object) {
+          return true;
+        }
+      }
+      return parent ? parent.isService(object) : false;
+    },
+
+    /** Creates a new command passing the services listed in the constructor
+     * <code>inject</code> property as arguments.
+     *
+     * @param {Function} handler Command constructor. Cannot be null.
+     * @return {Object} The new command. Never returns null.
+     * @throws {Error} If any of the services doesn't exist.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    instantiate: function (handler) {
+      var args = (handler.inject || []).map(this.resolve, this);
+      var command = Object.create(handler.prototype);
+      var result = handler.apply(command, args);
+
+      if (result !== null && (typeof result === "object" ||
+          typeof result === "function")) {
+        return result;
+      }
+      return command;
+    },
+
+    /** Replaces the service references in the command properties by the
+     * referenced services.
+     *
+     * @param {Object} command Command to inject services into. Cannot be
+     *   null.
+     * @return {String[]} The names of the command properties that hold a
+     *   service, including services injected through the constructor. Never
+     *   returns null.
+     * @throws {Error} If any of the services doesn't exist.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    inject: function (command) {
+      var properties = [];
+      var property;
+
+      for (property in command) {
+        if (!command.hasOwnProperty(property)) {
+          continue;
+        }
+        if (command[property] instanceof WebModules.ServiceReference) {
+          command[property] = this.resolve(command[property].name);
+          properties.push(property);
+        } else if (this.isService(command[property])) {
+          properties.push(property);
+        }
+      }
+
+      return properties;
+    },
+
+    /** Sets the registry to inherit services from.
+     *
+     * @param {WebModules.ServiceRegistry} theParent Parent registry. Cannot
+     *   be null.
+     * @methodOf WebModules.ServiceRegistry#
+     */
+    setParent: function (theParent) {
+      parent = theParent;
+    }
+  };
+};
@@ -0,0 +1,66 @@
+/** Flash store that keeps flash attributes in the request session. It
+ * requires a session middleware that provides <code>req.session</code>, like
+ * the express session middleware. Look at {@link WebModules.CookieFlashStore}
+ * for the flash store contract.
+ *
+ * @param {String} [key] Session attribute that holds the flash attributes.
+ *   Default is <code>flash</code>.
+ * @constructor
+ */
+WebModules.SessionFlashStore = function (key) {
+
+  /** Session attribute that holds the flash attributes.
+   * @type String
+   * @private
+   * @fieldOf WebModules.SessionFlashStore#
+   */
+  var sessionKey = key || "flash";
+
+  /** Returns the session of the current request.
+   *
+   * @param {Object} req Current request. Cannot be null.
+   * @return {Object} The request session. Never returns null.
+   * @throws {Error} If there's no session middleware.
+   * @private
+   * @methodOf WebModules.SessionFlashStore#
+   */
+  var getSession = function (req) {
+    if (!req.session) {
+      throw new Error("Flash attributes require a session middleware.");
+    }
+    return req.session;
+  };
+
+  return {
+    /** Keeps the flash attributes in the session.
+     *
+     * @param {Object} req Current request. Cannot be null.
+     * @param {Object} res Current response. Cannot be null.
+     * @param {Object} attributes Flash attributes. Cannot be null.
+     * @methodOf WebModules.SessionFlashStore#
+     */
+    save: function (req, res, attributes) {
+      getSession(req)[sessionKey] = attributes;
+    },
+
+    /** Reads the flash attributes from the session and removes them.
+     *
+     * @param {Object} req Current request. Cannot be null.
+     * @param {Object} res Current response. Cannot be null.
+     * @return {Object} The flash attributes, or null if there're no
+     *   attributes.
+     * @methodOf WebModules.SessionFlashStore#
+     */
+    load: function (req, res) {
+      var attributes;
+
+      if (!req.session || !req.session[sessionKey]) {
+        return null;
+      }
+      attributes = req.session[sessionKey];
+      delete req.session[sessionKey];
+
+      return attributes;
+    }
+  };
+};
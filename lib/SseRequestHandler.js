@@ -0,0 +1,401 @@
+/** Handles requests by using Server-Sent Events over Express.js.
+ * <p>
+ * Each route keeps <code>text/event-stream</code> connections open. Commands
+ * push events through a streaming {@link WebModules.Model}: each time the
+ * model is resumed, its data is sent as an event. Finishing the model closes
+ * the stream. Models that aren't streaming send their data as a single
+ * event.
+ * </p>
+ * <p>
+ * Events sent by a route are kept in a bounded buffer, so clients that
+ * reconnect with the <code>Last-Event-ID</code> header receive the events
+ * they missed. Event ids carry a random token of the connection, so only the
+ * client that received the events of a connection can take them over.
+ * </p>
+ * <p>
+ * The model is closed when the connection ends, so commands can release the
+ * resources of the stream with <code>model.onClose()</code>.
+ * </p>
+ *
+ * @param {Object} server Express application. Cannot be null.
+ * @constructor
+ * @augments WebModules.RequestHandler
+ */
+WebModules.SseRequestHandler = function (server) {
+
+  /** Default logger.
+   * @private
+   */
+  var LOG = require('winston');
+
+  /** Node crypto API.
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var crypto = require("crypto");
+
+  /** Base object to inherit from.
+   * @private
+   */
+  var base = new WebModules.RequestHandler(server);
+
+  /** Default number of events kept by each route to replay them.
+   * @constant
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var DEFAULT_BUFFER_SIZE = 100;
+
+  /** Default time between keepalive comments, in milliseconds.
+   * @constant
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var DEFAULT_KEEP_ALIVE = 15000;
+
+  /** Format of the event ids: the event sequence and the connection token.
+   * @constant
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var EVENT_ID = /^(\d+)-([0-9a-f]{32})$/;
+
+  /** Message sent when a stream fails, unless the error is safe to expose.
+   * @constant
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var DEFAULT_ERROR_MESSAGE = "Internal server error.";
+
+  /** Functions registered in express to handle requests.
+   * @type Function[]
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var handlers = [];
+
+  /** Streams of the registered routes. Each stream has the open
+   * <code>connections</code> and the buffer of sent <code>events</code>.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var streams = [];
+
+  /** Sequence to identify connections.
+   * @type Number
+   * @private
+   * @fieldOf WebModules.SseRequestHandler#
+   */
+  var connectionSequence = 0;
+
+  /** Creates a token that cannot be guessed to identify the events of a
+   * connection.
+   *
+   * @return {String} A new token. Never returns null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var createToken = function () {
+    return crypto.randomBytes(16).toString("hex");
+  };
+
+  /** Serializes the data of an event. Strings are sent as they are.
+   *
+   * @param {Object} data Event data. Can be null.
+   * @return {String} The serialized data. Never returns null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var serialize = function (data) {
+    return (typeof data === "string") ? data : String(JSON.stringify(data));
+  };
+
+  /** Writes an event to a connection. The event id is built from the event
+   * sequence and the connection token.
+   *
+   * @param {Object} connection Open connection. Cannot be null.
+   * @param {Object} event Event to write. It has the optional
+   *   <code>sequence</code> and <code>name</code>, and the
+   *   <code>data</code>. Cannot be null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var write = function (connection, event) {
+    var data = serialize(event.data);
+    var message = event.sequence ? "id: " + event.sequence + "-" +
+      connection.token + "\n" : "";
+
+    if (connection.closed) {
+      return;
+    }
+    if (event.name) {
+      message += "event: " + event.name + "\n";
+    }
+    data.split(/\r?\n/).forEach(function (line) {
+      message += "data: " + line + "\n";
+    });
+    connection.res.write(message + "\n");
+  };
+
+  /** Sends an event to one connection or, if it's a broadcast, to every
+   * connection of the stream. The event is kept in the stream buffer. The
+   * data is serialized right away, since commands may change the model data
+   * before they resume the model again.
+   *
+   * @param {Object} stream Route stream. Cannot be null.
+   * @param {Object} connection Connection that produced the event. Cannot be
+   *   null.
+   * @param {WebModules.Model} model Model to send. Cannot be null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var send = function (stream, connection, model) {
+    var broadcast = !!model.options.broadcast;
+    var event;
+
+    stream.sequence += 1;
+    event = {
+      sequence: stream.sequence,
+      name: model.options.event || null,
+      data: serialize(model.data),
+      token: broadcast ? null : connection.token
+    };
+
+    stream.events.push(event);
+    if (stream.events.length > stream.bufferSize) {
+      stream.events.shift();
+    }
+
+    if (broadcast) {
+      stream.connections.forEach(function (target) {
+        write(target, event);
+      });
+    } else {
+      write(connection, event);
+    }
+  };
+
+  /** Sends the events that a client missed since the specified event. Only
+   * broadcasts and events of the connection that received the last event
+   * are replayed. The new connection takes over the token of the previous
+   * one, so it also receives its events if the client reconnects again.
+   *
+   * @param {Object} stream Route stream. Cannot be null.
+   * @param {Object} connection New connection. Cannot be null.
+   * @param {String} lastEventId Id of the last event received by the client.
+   *   Cannot be null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var replay = function (stream, connection, lastEventId) {
+    var match = EVENT_ID.exec(lastEventId);
+    var sequence;
+
+    if (!match) {
+      LOG.debug("Invalid event id " + lastEventId + ".");
+      return;
+    }
+    sequence = Number(match[1]);
+    connection.token = match[2];
+
+    if (!stream.events.some(function (event) {
+        return event.sequence === sequence;
+      })) {
+      LOG.debug("Event " + lastEventId + " is no longer available.");
+      return;
+    }
+    stream.events.forEach(function (event) {
+      if (event.sequence > sequence && (event.token === null ||
+          event.token === connection.token)) {
+        write(connection, event);
+      }
+    });
+  };
+
+  /** Closes a connection and removes it from the stream. It also closes the
+   * connection model, so commands are notified that the stream ended.
+   *
+   * @param {Object} stream Route stream. Cannot be null.
+   * @param {Object} connection Connection to close. Cannot be null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var close = function (stream, connection) {
+    if (connection.closed) {
+      return;
+    }
+    connection.closed = true;
+    clearInterval(connection.timer);
+    stream.connections.splice(stream.connections.indexOf(connection), 1);
+    connection.res.end();
+    connection.model.close();
+
+    LOG.debug("SSE connection " + connection.id + " closed.");
+  };
+
+  /** Opens an event stream connection for the specified model.
+   *
+   * @param {Object} stream Route stream. Cannot be null.
+   * @param {Object} req Current request. Cannot be null.
+   * @param {Object} res Current response. Cannot be null.
+   * @param {WebModules.Model} model Model that produces the events. Cannot be
+   *   null.
+   * @private
+   * @methodOf WebModules.SseRequestHandler#
+   */
+  var open = function (stream, req, res, model) {
+    var lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    var connection = {
+      id: (connectionSequence += 1),
+      token: createToken(),
+      res: res,
+      model: model,
+      closed: false,
+      timer: null
+    };
+
+    req.socket.setTimeout(0);
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive"
+    });
+    res.write(":ok\n\n");
+
+    stream.connections.push(connection);
+    connection.timer = setInterval(function () {
+      res.write(":keepalive\n\n");
+    }, stream.keepAlive);
+
+    res.on("close", close.bind(this, stream, connection));
+
+    if (lastEventId) {
+      replay(stream, connection, String(lastEventId));
+    }
+
+    model.onResume(function () {
+      send(stream, connection, model);
+    });
+    model.wait(function () {
+      if (model.isStreaming()) {
+        close(stream, connection);
+      } else {
+        send(stream, connection, model);
+      }
+    }, function (cause) {
+      LOG.error("Error processing SSE stream " + connection.id + ": " + cause);
+
+      // Error messages may expose internal details.
+      write(connection, {
+        name: "error",
+        data: {
+          message: (cause && cause.expose === true && cause.message) ||
+            DEFAULT_ERROR_MESSAGE
+        }
+      });
+      close(stream, connection);
+    });
+  };
+
+  return WebModules.extend(base, {
+
+    /** Maps a route to a controller. The controller is the flow control unit
+     * which builds the command that will produce the events.
+     *
+     * @param {String} path Route that must be matched to follow the
+     *   specified controller. Cannot be null or empty.
+     *
+     * @param {Function|Object} handler Either a controller instance or a
+     *   command class that will handle requests. If it's a controller
+     *   instance, requests will be delegated to the controller. If it's a
+     *   command constructor, it will execute the command by using a
+     *   <code>WebModules.CommandController</code>.
+     *
+     * @param {Object} options Options to match this route. The
+     *   <code>bufferSize</code> option is the number of events kept to replay
+     *   them, and <code>keepAlive</code> is the time between keepalive
+     *   comments in milliseconds. Can be null.
+     * @methodOf WebModules.SseRequestHandler#
+     */
+    endpoint: function (path, handler, options) {
+      var controller = handler;
+      var stream = {
+        path: path,
+        connections: [],
+        events: [],
+        sequence: 0,
+        bufferSize: options.bufferSize || DEFAULT_BUFFER_SIZE,
+        keepAlive: options.keepAlive || DEFAULT_KEEP_ALIVE
+      };
+
+      if (typeof handler === "function") {
+        // Command constructor. Uses a CommandController by default.
+        controller = new WebModules.CommandController(function () {
+          return options.services ? options.services.instantiate(handler) :
+            new handler();
+        }, null, options);
+      }
+
+      var handleRequest = function (req, res, next) {
+        base.processFilters(req, res, function (cancel, error) {
+          var modelAndView;
+
+          if (error) {
+            return next(error);
+          }
+          if (cancel) {
+            LOG.info("Request processing aborted.");
+            return;
+          }
+          if (!controller.canHandle(req, res)) {
+            LOG.debug("Passing control to next handler for " + path);
+            return next();
+          }
+
+          try {
+            modelAndView = controller.handle(req, res);
+          } catch (cause) {
+            return next(cause);
+          }
+
+          open(stream, req, res, modelAndView.model);
+        });
+      };
+      LOG.debug("Initializing event stream " + path);
+
+      streams.push(stream);
+      handlers.push(handleRequest);
+      server.get(path, handleRequest);
+    },
+
+    /** Removes all routes registered by this request handler and closes the
+     * open connections.
+     *
+     * @methodOf WebModules.SseRequestHandler#
+     */
+    destroy: function () {
+      var routes = server.routes.get || [];
+      var i;
+
+      // Express keeps a reference to the routes list, so it must be
+      // modified in place.
+      for (i = routes.length - 1; i >= 0; i--) {
+        if (routes[i].callbacks.some(function (callback) {
+            return handlers.indexOf(callback) > -1;
+          })) {
+          LOG.debug("Removing event stream " + routes[i].path);
+          routes.splice(i, 1);
+        }
+      }
+      handlers = [];
+
+      streams.forEach(function (stream) {
+        stream.connections.slice().forEach(function (connection) {
+          close(stream, connection);
+        });
+      });
+      streams = [];
+    }
+  });
+};
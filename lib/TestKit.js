@@ -0,0 +1,539 @@
+/** Runs modules in memory to test them without opening a port.
+ * <p>
+ * The kit owns an isolated {@link WebModules.ModuleManager} backed by an
+ * in-memory socket.io server. Fake HTTP requests are dispatched into the
+ * manager express application, and fake WebSocket clients connect to the
+ * in-memory namespaces. Results expose the resulting model and view, the
+ * rendered view name, redirects, JSON bodies and emitted socket events.
+ * </p>
+ *
+ * @param {Object} [options] Kit options. Can be null.
+ * @param {Boolean} [options.renderViews] Indicates whether views are
+ *   rendered by the view engine. If it's false, the view name is sent as
+ *   response body instead. Default is true.
+ * @constructor
+ */
+WebModules.TestKit = function (options) {
+
+  /** Node http module.
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var http = require("http");
+
+  /** Node net module.
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var net = require("net");
+
+  /** Node events module.
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var EventEmitter = require("events").EventEmitter;
+
+  /** Kit default configuration overriden by custom options.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var config = WebModules.extend({
+    renderViews: true
+  }, options || {});
+
+  /** Events emitted to fake WebSocket clients, in order. Each event has the
+   * <code>namespace</code>, the <code>room</code> or the target
+   * <code>socketId</code>, the <code>event</code> name and the
+   * <code>data</code>.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var emitted = [];
+
+  /** Sequence to build socket ids.
+   * @type Number
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var socketSequence = 0;
+
+  /** In-memory socket.io namespace.
+   *
+   * @param {String} name Namespace path. Cannot be null.
+   * @constructor
+   * @private
+   */
+  var FakeNamespace = function (name) {
+
+    /** Emitter of connection events.
+     * @private
+     */
+    var emitter = new EventEmitter();
+
+    /** Sends an event to the sockets that match a condition.
+     * @private
+     */
+    var deliver = function (namespace, room, event, data, matches) {
+      emitted.push({
+        namespace: name,
+        room: room,
+        socketId: null,
+        event: event,
+        data: data
+      });
+      Object.keys(namespace.sockets).forEach(function (id) {
+        if (matches(namespace.sockets[id])) {
+          namespace.sockets[id].client.receive(event, data);
+        }
+      });
+    };
+
+    return {
+      name: name,
+
+      /** Connected sockets, by id. */
+      sockets: {},
+
+      on: emitter.on.bind(emitter),
+
+      removeListener: emitter.removeListener.bind(emitter),
+
+      listeners: emitter.listeners.bind(emitter),
+
+      /** Simulates a new connection. */
+      connect: function (socket) {
+        this.sockets[socket.id] = socket;
+        emitter.emit("connection", socket);
+      },
+
+      clients: function () {
+        var sockets = this.sockets;
+
+        return Object.keys(sockets).map(function (id) {
+          return sockets[id];
+        });
+      },
+
+      emit: function (event, data) {
+        deliver(this, null, event, data, function () {
+          return true;
+        });
+      },
+
+      in: function (room) {
+        var namespace = this;
+
+        return {
+          emit: function (event, data) {
+            deliver(namespace, room, event, data, function (socket) {
+              return socket.rooms.indexOf(room) > -1;
+            });
+          }
+        };
+      },
+
+      /** Sends an event to every socket but the sender. */
+      broadcast: function (sender, room, event, data) {
+        deliver(this, room, event, data, function (socket) {
+          return socket !== sender &&
+            (room === null || socket.rooms.indexOf(room) > -1);
+        });
+      }
+    };
+  };
+
+  /** In-memory socket.io server.
+   * @constructor
+   * @private
+   */
+  var FakeSocketServer = function () {
+    return {
+      namespaces: {},
+
+      of: function (path) {
+        if (!this.namespaces.hasOwnProperty(path)) {
+          this.namespaces[path] = new FakeNamespace(path);
+        }
+        return this.namespaces[path];
+      }
+    };
+  };
+
+  /** Server side of an in-memory socket.
+   *
+   * @param {Object} namespace Namespace the socket is connected to. Cannot
+   *   be null.
+   * @param {Object} client Fake client that receives events. Cannot be
+   *   null.
+   * @param {Object} handshake Handshake data. Cannot be null.
+   * @constructor
+   * @private
+   */
+  var FakeSocket = function (namespace, client, handshake) {
+
+    /** Emitter of incoming events.
+     * @private
+     */
+    var emitter = new EventEmitter();
+
+    var socket = {
+      id: "socket-" + (socketSequence += 1),
+      handshake: handshake,
+      client: client,
+      rooms: [],
+
+      on: emitter.on.bind(emitter),
+
+      removeListener: emitter.removeListener.bind(emitter),
+
+      /** Delivers an event from the client. */
+      receive: function () {
+        emitter.emit.apply(emitter, arguments);
+      },
+
+      emit: function (event, data) {
+        emitted.push({
+          namespace: namespace.name,
+          room: null,
+          socketId: socket.id,
+          event: event,
+          data: data
+        });
+        client.receive(event, data);
+      },
+
+      join: function (room) {
+        if (socket.rooms.indexOf(room) === -1) {
+          socket.rooms.push(room);
+        }
+      },
+
+      leave: function (room) {
+        socket.rooms = socket.rooms.filter(function (item) {
+          return item !== room;
+        });
+      },
+
+      broadcast: {
+        emit: function (event, data) {
+          namespace.broadcast(socket, null, event, data);
+        },
+
+        to: function (room) {
+          return {
+            emit: function (event, data) {
+              namespace.broadcast(socket, room, event, data);
+            }
+          };
+        }
+      },
+
+      disconnect: function () {
+        if (!namespace.sockets.hasOwnProperty(socket.id)) {
+          return;
+        }
+        delete namespace.sockets[socket.id];
+        emitter.emit("disconnect");
+        client.receive("disconnect");
+      }
+    };
+
+    return socket;
+  };
+
+  /** Fake socket.io client.
+   *
+   * @param {Object} namespace Namespace to connect to. Cannot be null.
+   * @param {Object} handshake Handshake data. Cannot be null.
+   * @constructor
+   * @private
+   */
+  var FakeClient = function (namespace, handshake) {
+
+    /** Emitter of received events.
+     * @private
+     */
+    var emitter = new EventEmitter();
+
+    var client = {
+      /** Events received by this client, in order. */
+      events: [],
+
+      /** Indicates whether the client is connected. */
+      connected: true,
+
+      receive: function (event, data) {
+        if (event === "disconnect") {
+          client.connected = false;
+        } else {
+          client.events.push({
+            event: event,
+            data: data
+          });
+        }
+        emitter.emit(event, data);
+      },
+
+      /** Listens for events sent to this client. */
+      on: emitter.on.bind(emitter),
+
+      /** Sends an event to the server, with an optional acknowledgement
+       * callback. */
+      emit: function (event, data, ack) {
+        client.socket.receive(event, data, ack);
+      },
+
+      /** Returns the data of the received events with the specified name. */
+      received: function (event) {
+        return client.events.filter(function (item) {
+          return item.event === event;
+        }).map(function (item) {
+          return item.data;
+        });
+      },
+
+      disconnect: function () {
+        client.socket.disconnect();
+      }
+    };
+
+    client.socket = new FakeSocket(namespace, client, handshake);
+    client.id = client.socket.id;
+
+    return client;
+  };
+
+  /** In-memory socket.io server used by the module manager.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var websocket = new FakeSocketServer();
+
+  /** Isolated module manager.
+   * @type WebModules.ModuleManager
+   * @private
+   * @fieldOf WebModules.TestKit#
+   */
+  var moduleManager = WebModules.ModuleManager.create({
+    websocket: websocket
+  });
+
+  /** Builds a fake request.
+   *
+   * @param {Object} request Request description. Cannot be null.
+   * @return {http.IncomingMessage} A readable request. Never returns null.
+   * @private
+   * @methodOf WebModules.TestKit#
+   */
+  var createRequest = function (request) {
+    var req = new http.IncomingMessage(new net.Socket());
+    var headers = {};
+    var body = request.body;
+    var name;
+
+    for (name in request.headers) {
+      if (request.headers.hasOwnProperty(name)) {
+        headers[name.toLowerCase()] = request.headers[name];
+      }
+    }
+    if (body && typeof body === "object") {
+      body = JSON.stringify(body);
+      headers["content-type"] = headers["content-type"] || "application/json";
+    }
+    if (body) {
+      headers["content-length"] = String(Buffer.byteLength(body));
+    }
+
+    req.method = (request.method || "GET").toUpperCase();
+    req.url = request.path;
+    req.headers = headers;
+    req.httpVersion = "1.1";
+
+    if (body) {
+      req.push(body);
+    }
+    req.push(null);
+
+    return req;
+  };
+
+  /** Builds a fake response that keeps the written body.
+   *
+   * @param {http.IncomingMessage} req Fake request. Cannot be null.
+   * @param {Function} callback Function invoked once the response is
+   *   finished. Cannot be null.
+   * @return {http.ServerResponse} The response. Never returns null.
+   * @private
+   * @methodOf WebModules.TestKit#
+   */
+  var createResponse = function (req, callback) {
+    var res = new http.ServerResponse(req);
+    var chunks = [];
+
+    var append = function (chunk, encoding) {
+      if (chunk && typeof chunk !== "function") {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk :
+          Buffer.from(String(chunk), typeof encoding === "string" ?
+            encoding : "utf8"));
+      }
+    };
+
+    res.write = function (chunk, encoding) {
+      append(chunk, encoding);
+      return true;
+    };
+    res.end = function (chunk, encoding) {
+      if (res.finished) {
+        return res;
+      }
+      append(chunk, encoding);
+
+      if (!res.headersSent) {
+        res.writeHead(res.statusCode);
+      }
+      res.finished = true;
+      res.emit("finish");
+      callback(Buffer.concat(chunks).toString("utf8"));
+
+      return res;
+    };
+
+    if (!config.renderViews) {
+      res.render = function (view) {
+        res.renderedView = view;
+        res.send(view);
+      };
+    } else {
+      res.render = function (view) {
+        res.renderedView = view;
+        Object.getPrototypeOf(res).render.apply(res, arguments);
+      };
+    }
+
+    return res;
+  };
+
+  return {
+    /** Registers a module into the kit module manager.
+     *
+     * @param {WebModules.Module} module Module to register. Cannot be null.
+     * @return {WebModules.TestKit} Returns this kit.
+     * @methodOf WebModules.TestKit#
+     */
+    register: function (module) {
+      module.register(moduleManager);
+      return this;
+    },
+
+    /** Dispatches a fake HTTP request into the registered modules.
+     *
+     * @param {Object} request Request description. It has the
+     *   <code>method</code>, the <code>path</code> including the query
+     *   string, the <code>headers</code> and the <code>body</code>. Object
+     *   bodies are sent as JSON. Cannot be null.
+     * @param {Function} callback Function invoked with the result once the
+     *   response is written. The result has the response <code>status</code>,
+     *   <code>headers</code> and <code>body</code>, the parsed
+     *   <code>json</code> body, the <code>modelAndView</code>, the rendered
+     *   <code>viewName</code>, the <code>redirect</code> location and the
+     *   unhandled <code>error</code>, if any. Cannot be null.
+     * @methodOf WebModules.TestKit#
+     */
+    request: function (request, callback) {
+      var req = createRequest(request);
+      var error = null;
+      var res;
+
+      res = createResponse(req, function (body) {
+        var headers = res.getHeaders();
+        var result = {
+          status: res.statusCode,
+          headers: headers,
+          body: body,
+          json: null,
+          modelAndView: req.modelAndView || null,
+          viewName: res.renderedView || null,
+          redirect: null,
+          error: error
+        };
+
+        if (/json/.test(headers["content-type"] || "")) {
+          try {
+            result.json = JSON.parse(body);
+          } catch (cause) {
+            result.json = null;
+          }
+        }
+        if (result.status >= 300 && result.status < 400) {
+          result.redirect = headers.location || null;
+        }
+        callback(result);
+      });
+
+      moduleManager.app()(req, res, function (cause) {
+        error = cause || null;
+        res.statusCode = cause ? (cause.status || 500) : 404;
+        res.end(cause ? String(cause) : "Cannot " + req.method + " " +
+          request.path);
+      });
+    },
+
+    /** Connects a fake WebSocket client to a namespace.
+     *
+     * @param {String} namespace Full path of the namespace. Cannot be null.
+     * @param {Object} [handshake] Handshake <code>headers</code> and
+     *   <code>query</code>. Can be null.
+     * @return {Object} The fake client. It can <code>emit</code> events with
+     *   acknowledgement callbacks, and it keeps the received
+     *   <code>events</code>. Never returns null.
+     * @methodOf WebModules.TestKit#
+     */
+    connect: function (namespace, handshake) {
+      var target = websocket.of(namespace);
+      var client = new FakeClient(target, {
+        headers: (handshake && handshake.headers) || {},
+        query: (handshake && handshake.query) || {},
+        address: { address: "127.0.0.1", port: 0 }
+      });
+
+      target.connect(client.socket);
+
+      return client;
+    },
+
+    /** Returns the events emitted to fake WebSocket clients.
+     *
+     * @param {String} [namespace] Namespace to filter events. Can be null.
+     * @return {Object[]} The emitted events, in order. Never returns null.
+     * @methodOf WebModules.TestKit#
+     */
+    getEmitted: function (namespace) {
+      return emitted.filter(function (item) {
+        return !namespace || item.namespace === namespace;
+      });
+    },
+
+    /** Returns the kit module manager.
+     *
+     * @return {WebModules.ModuleManager} The isolated module manager. Never
+     *   returns null.
+     * @methodOf WebModules.TestKit#
+     */
+    getModuleManager: function () {
+      return moduleManager;
+    },
+
+    /** Destroys the registered modules.
+     *
+     * @param {Function} [callback] Function invoked once modules are
+     *   destroyed. Can be null.
+     * @methodOf WebModules.TestKit#
+     */
+    close: function (callback) {
+      moduleManager.close(callback);
+    }
+  };
+};
@@ -0,0 +1,59 @@
+/** Error raised when a command doesn't pass the validation.
+ *
+ * @param {WebModules.Errors} errors Rejected fields. Cannot be null.
+ * @constructor
+ * @augments Error
+ */
+WebModules.ValidationError = function (errors) {
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, WebModules.ValidationError);
+  }
+
+  return WebModules.extend(this, {
+    /** Error name.
+     * @type String
+     * @fieldOf WebModules.ValidationError#
+     */
+    name: "ValidationError",
+
+    /** Error message.
+     * @type String
+     * @fieldOf WebModules.ValidationError#
+     */
+    message: "Validation failed.",
+
+    /** HTTP status code for validation errors.
+     * @type Number
+     * @fieldOf WebModules.ValidationError#
+     */
+    status: 400,
+
+    /** Rejected fields. Never null.
+     * @type WebModules.Errors
+     * @fieldOf WebModules.ValidationError#
+     */
+    errors: errors,
+
+    /** Returns the structured error payload sent to clients that don't
+     * render views.
+     *
+     * @param {Function} [translate] Function to translate the field errors.
+     *   Look at {@link WebModules.Errors#getFieldErrors}. Can be null.
+     * @return {Object} An object with the <code>status</code> code, the
+     *   error <code>message</code> and the field <code>errors</code>. Never
+     *   returns null.
+     * @methodOf WebModules.ValidationError#
+     */
+    toPayload: function (translate) {
+      return {
+        status: this.status,
+        message: this.message,
+        errors: errors.getFieldErrors(translate)
+      };
+    }
+  });
+};
+
+WebModules.ValidationError.prototype = Object.create(Error.prototype);
+WebModules.ValidationError.prototype.constructor = WebModules.ValidationError;
@@ -0,0 +1,130 @@
+/** Validates objects properties according to declarative constraints.
+ * <p>
+ * Constraints map property paths to an object with any of the following
+ * rules:
+ * <ul>
+ *   <li><code>required</code>: the value cannot be null, undefined or an
+ *     empty string or array.</li>
+ *   <li><code>min</code> and <code>max</code>: numeric range.</li>
+ *   <li><code>minLength</code> and <code>maxLength</code>: length of strings
+ *     and arrays.</li>
+ *   <li><code>pattern</code>: regular expression the value must match.</li>
+ *   <li><code>validator</code>: function that takes the value and the
+ *     object, and returns true if the value is valid. It can also return the
+ *     error message.</li>
+ * </ul>
+ * Rules other than <code>required</code> are not evaluated for empty values.
+ * Values are rejected with the rule name as error code, and the
+ * <code>validator</code> rule uses the <code>invalid</code> code. Rule
+ * values, like <code>min</code>, are available as message arguments.
+ * </p>
+ *
+ * @param {Object} constraints Constraints for each property. Cannot be null.
+ * @constructor
+ */
+WebModules.Validator = function (constraints) {
+
+  /** Determines whether a value is empty.
+   * @param {Object} value Value to check. Can be null.
+   * @return {Boolean} true if the value is empty, false otherwise.
+   * @private
+   * @methodOf WebModules.Validator#
+   */
+  var isEmpty = function (value) {
+    return value === null || value === undefined || value === "" ||
+      (Array.isArray(value) && value.length === 0);
+  };
+
+  /** Reads the value of a property path from an object.
+   * @param {Object} object Object to read. Cannot be null.
+   * @param {String} path Property path, for instance
+   *   <code>user.address.city</code> or <code>items[0].name</code>. Cannot
+   *   be null.
+   * @return {Object} The property value, or undefined if it doesn't exist.
+   * @private
+   * @methodOf WebModules.Validator#
+   */
+  var read = function (object, path) {
+    var names = WebModules.ObjectDataBinder.parsePath(path);
+
+    return names.reduce(function (value, name) {
+      return (value === null || value === undefined) ? undefined :
+        value[name];
+    }, object);
+  };
+
+  /** Validates a single value.
+   * @param {String} field Property path. Cannot be null.
+   * @param {Object} value Value to validate. Can be null.
+   * @param {Object} rules Constraints for the value. Cannot be null.
+   * @param {Object} object Object being validated. Cannot be null.
+   * @param {WebModules.Errors} errors Errors to reject the value. Cannot be
+   *   null.
+   * @private
+   * @methodOf WebModules.Validator#
+   */
+  var validateValue = function (field, value, rules, object, errors) {
+    var length = (value !== null && value !== undefined) ? value.length :
+      undefined;
+    var result;
+
+    if (isEmpty(value)) {
+      if (rules.required) {
+        errors.reject(field, "required", "The field is required.");
+      }
+      return;
+    }
+    if (rules.min !== undefined && value < rules.min) {
+      errors.reject(field, "min", "The value must be greater than or " +
+        "equal to " + rules.min + ".", { min: rules.min });
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      errors.reject(field, "max", "The value must be less than or equal " +
+        "to " + rules.max + ".", { max: rules.max });
+    }
+    if (rules.minLength !== undefined && length < rules.minLength) {
+      errors.reject(field, "minLength", "The value must have at least " +
+        rules.minLength + " characters.", { minLength: rules.minLength });
+    }
+    if (rules.maxLength !== undefined && length > rules.maxLength) {
+      errors.reject(field, "maxLength", "The value must have at most " +
+        rules.maxLength + " characters.", { maxLength: rules.maxLength });
+    }
+    if (rules.pattern && !rules.pattern.test(String(value))) {
+      errors.reject(field, "pattern", "The value has an invalid format.");
+    }
+    if (typeof rules.validator === "function") {
+      result = rules.validator(value, object);
+
+      if (result !== true && result !== undefined) {
+        errors.reject(field, "invalid", typeof result === "string" ?
+          result : "The value is not valid.");
+      }
+    }
+  };
+
+  return {
+    /** Validates the specified object. Fields that are already rejected are
+     * not validated again.
+     *
+     * @param {Object} object Object to validate. Cannot be null.
+     * @param {WebModules.Errors} errors Errors to reject invalid values.
+     *   Cannot be null.
+     * @return {WebModules.Errors} Returns the errors, for convenience.
+     * @methodOf WebModules.Validator#
+     */
+    validate: function (object, errors) {
+      var field;
+
+      for (field in constraints) {
+        if (constraints.hasOwnProperty(field) &&
+            !errors.hasFieldErrors(field)) {
+          validateValue(field, read(object, field), constraints[field],
+            object, errors);
+        }
+      }
+
+      return errors;
+    }
+  };
+};
@@ -15,6 +15,415 @@ WebModules.WebSocketRequestHandler = function (server) {
    */
   var base = new WebModules.RequestHandler(server);
 
+  /** Event that routes listen to when no event is specified.
+   * @constant
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var DEFAULT_EVENT = "message";
+
+  /** Namespaces handled by this request handler, indexed by path. Each
+   * namespace has the socket.io <code>namespace</code>, the connection
+   * <code>listener</code>, the <code>routes</code> controllers indexed by
+   * event and the list of accepted <code>connections</code>.
+   * @type Object
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var namespaces = {};
+
+  /** Event listeners registered in connected sockets.
+   * @type Object[]
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var messageListeners = [];
+
+  /** Message property that clients use to correlate errors with requests.
+   * @constant
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var CORRELATION_ID = "correlationId";
+
+  /** Message sent for errors that aren't safe to expose, unless there's a
+   * translated message for the error code.
+   * @constant
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var DEFAULT_ERROR_MESSAGE = "Internal server error.";
+
+  /** Codes of the errors sent back to clients, unless the error is safe to
+   * expose and it has its own <code>code</code>.
+   * @constant
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var ErrorCode = {
+    VALIDATION_FAILED: "validationFailed",
+    COMMAND_FAILED: "commandFailed",
+    FILTER_FAILED: "filterFailed",
+    NO_RESPONSE: "noResponse"
+  };
+
+  /** Filter chain phases, they're used as the request method so filters can
+   * be mapped to connections or messages.
+   * @constant
+   * @private
+   * @fieldOf WebModules.WebSocketRequestHandler#
+   */
+  var Phase = {
+    CONNECTION: "CONNECTION",
+    MESSAGE: "MESSAGE"
+  };
+
+  /** Builds the request object that filters receive for a socket.
+   *
+   * @param {Object} connection Connection of the socket. Cannot be null.
+   * @param {String} path Namespace of the endpoint. Cannot be null.
+   * @param {String} phase Filter chain phase. Cannot be null.
+   * @param {String} [event] Incoming message event, if any. Can be null.
+   * @param {Object} [data] Incoming message, if any. Can be null.
+   * @return {Object} A request object. Never returns null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var createRequest = function (connection, path, phase, event, data) {
+    var handshake = connection.socket.handshake || {};
+
+    return {
+      path: path,
+      method: phase,
+      socket: connection.socket,
+      headers: handshake.headers || {},
+      query: handshake.query || {},
+      address: handshake.address,
+      locale: connection.locale,
+      event: event,
+      data: data
+    };
+  };
+
+  /** Builds the response object that filters receive for a socket.
+   *
+   * @param {Object} socket Connected socket. Cannot be null.
+   * @return {Object} A response object. Never returns null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var createResponse = function (socket) {
+    return {
+      socket: socket,
+
+      /** Sends a message to the client. */
+      send: function (data) {
+        socket.emit(DEFAULT_EVENT, data);
+      },
+
+      /** Emits an event to the client. */
+      emit: function () {
+        socket.emit.apply(socket, arguments);
+      }
+    };
+  };
+
+  /** Creates the context of an incoming message. The context holds
+   * everything required to reply to the client.
+   *
+   * @param {Object} connection Connection that received the message.
+   *   Cannot be null.
+   * @param {String} path Namespace of the endpoint. Cannot be null.
+   * @param {String} [event] Incoming message event. Can be null.
+   * @param {Object} [data] Incoming message. Can be null.
+   * @param {Function} [ack] Client acknowledgement callback. Can be null.
+   * @return {Object} The message context. Never returns null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var createContext = function (connection, path, event, data, ack) {
+    var correlationId = (data && typeof data === "object") ?
+      data[CORRELATION_ID] : null;
+
+    return {
+      socket: connection.socket,
+      locale: connection.locale,
+      path: path,
+      event: event,
+      data: data,
+      ack: (typeof ack === "function") ? ack : null,
+      correlationId: (correlationId === undefined) ? null : correlationId
+    };
+  };
+
+  /** Sends an error back to the client. Errors are sent as the
+   * <code>exception</code> event or, if the client expects an
+   * acknowledgement, as the <code>error</code> property of the
+   * acknowledgement payload.
+   *
+   * The error payload has a <code>code</code>, a <code>message</code> and
+   * the <code>correlationId</code> of the message, if any. Validation errors
+   * also have the rejected fields <code>errors</code>. Messages are
+   * translated into the connection locale, using the code as message code.
+   * <p>
+   * Error messages may expose internal details, so clients receive the
+   * error's own <code>code</code> and <code>message</code> only if the error
+   * has the <code>expose</code> flag. Otherwise they receive the default code
+   * and a generic message.
+   * </p>
+   *
+   * @param {Object} context Context of the failed message. Cannot be null.
+   * @param {Object} cause Error to send. Can be null.
+   * @param {String} defaultCode Code sent if the error doesn't have its own
+   *   code. Cannot be null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var sendError = function (context, cause, defaultCode) {
+    var translate = base.createTranslator(context.locale);
+    var exposed = !!(cause && cause.expose === true);
+    var payload;
+
+    LOG.error("Error processing WS message from " + context.socket.id +
+      " in " + context.path + ": " + cause);
+
+    if (cause instanceof WebModules.ValidationError) {
+      payload = WebModules.extend({
+        code: ErrorCode.VALIDATION_FAILED
+      }, cause.toPayload(translate));
+    } else {
+      payload = {
+        code: (exposed && typeof cause.code === "string") ? cause.code :
+          defaultCode
+      };
+      payload.message = translate(payload.code, [],
+        (exposed && cause.message) || DEFAULT_ERROR_MESSAGE);
+    }
+    if (context.correlationId !== null) {
+      payload.correlationId = context.correlationId;
+    }
+
+    try {
+      if (context.ack) {
+        context.ack({ error: payload });
+      } else {
+        context.socket.emit("exception", payload);
+      }
+    } catch (sendCause) {
+      LOG.error("Cannot send error to WS client " + context.socket.id +
+        " in " + context.path + ": " + sendCause);
+    }
+  };
+
+  /** Sends the model back once the command finished. Model options control
+   * how the response is delivered:
+   * <ul>
+   *   <li><code>join</code>, <code>leave</code>: rooms the socket joins or
+   *     leaves before the response is sent.</li>
+   *   <li><code>to</code>: rooms the response is sent to.</li>
+   *   <li><code>broadcast</code>: sends the response to every socket but
+   *     the sender.</li>
+   *   <li><code>event</code>: event to emit, default is the incoming
+   *     event.</li>
+   * </ul>
+   * If the client expects an acknowledgement, it always receives the model
+   * data.
+   *
+   * @param {Object} namespace socket.io namespace. Cannot be null.
+   * @param {Object} context Context of the message. Cannot be null.
+   * @param {WebModules.Model} model Model to send. Cannot be null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var send = function (namespace, context, model) {
+    var socket = context.socket;
+    var options = model.options;
+    var replyEvent = options.event || context.event;
+
+    [].concat(options.leave || []).forEach(function (room) {
+      socket.leave(room);
+    });
+    [].concat(options.join || []).forEach(function (room) {
+      socket.join(room);
+    });
+
+    LOG.debug("Sending WS response to " + socket.id + " in " + context.path);
+
+    if (context.ack) {
+      context.ack(model.data);
+    }
+    if (options.to) {
+      [].concat(options.to).forEach(function (room) {
+        if (options.broadcast) {
+          socket.broadcast.to(room).emit(replyEvent, model.data);
+        } else {
+          namespace.in(room).emit(replyEvent, model.data);
+        }
+      });
+    } else if (options.broadcast) {
+      socket.broadcast.emit(replyEvent, model.data);
+    } else if (!context.ack) {
+      socket.emit(replyEvent, model.data);
+    }
+  };
+
+  /** Executes the controller mapped to an event and sends the response.
+   * Errors raised by the command, either while binding, executing or
+   * resolving a deferred model, are sent back to the client.
+   *
+   * @param {Object} entry Namespace handled by this request handler. Cannot
+   *   be null.
+   * @param {Object} context Context of the message. Cannot be null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var processMessage = function (entry, context) {
+    var controller = entry.routes[context.event];
+    var model;
+
+    if (!controller) {
+      LOG.debug("There's no route for event " + context.event + " in " +
+        entry.path);
+      return;
+    }
+
+    try {
+      model = controller.handle(context.data);
+    } catch (cause) {
+      return sendError(context, cause, ErrorCode.COMMAND_FAILED);
+    }
+    if (!model) {
+      return sendError(context, new Error("There's no model to send back."),
+        ErrorCode.NO_RESPONSE);
+    }
+    model.wait(function () {
+      try {
+        send(entry.namespace, context, model);
+      } catch (cause) {
+        sendError(context, cause, ErrorCode.COMMAND_FAILED);
+      }
+    }, function (cause) {
+      sendError(context, cause, ErrorCode.COMMAND_FAILED);
+    });
+  };
+
+  /** Listens for an event in an accepted connection. Messages received
+   * while the connection filters are running are queued.
+   *
+   * @param {Object} entry Namespace handled by this request handler. Cannot
+   *   be null.
+   * @param {Object} connection Connection to listen to. Cannot be null.
+   * @param {String} event Event to listen for. Cannot be null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var listen = function (entry, connection, event) {
+    var socket = connection.socket;
+
+    var listener = function (data, ack) {
+      var context;
+      var request;
+
+      if (!connection.ready) {
+        connection.pending.push(listener.bind(this, data, ack));
+        return;
+      }
+      context = createContext(connection, entry.path, event, data, ack);
+      request = createRequest(connection, entry.path, Phase.MESSAGE, event,
+        data);
+
+      base.processFilters(request, connection.res, function (cancel, error) {
+        if (error) {
+          return sendError(context, error, ErrorCode.FILTER_FAILED);
+        }
+        if (cancel) {
+          LOG.info("WS message from " + socket.id + " in " + entry.path +
+            " aborted.");
+          return;
+        }
+        processMessage(entry, context);
+      });
+    };
+
+    messageListeners.push({
+      socket: socket,
+      event: event,
+      listener: listener
+    });
+    socket.on(event, listener);
+  };
+
+  /** Starts handling a namespace. Connections are accepted once the
+   * connection filters are executed.
+   *
+   * @param {String} path Namespace path. Cannot be null.
+   * @return {Object} The namespace entry. Never returns null.
+   * @private
+   * @methodOf WebModules.WebSocketRequestHandler#
+   */
+  var handleNamespace = function (path) {
+    var entry = {
+      path: path,
+      namespace: server.of(path),
+      routes: {},
+      connections: []
+    };
+
+    entry.listener = function (socket) {
+      var connection = {
+        socket: socket,
+        res: createResponse(socket),
+        locale: null,
+        ready: false,
+        pending: []
+      };
+
+      // The locale is resolved once, from the handshake.
+      connection.locale = base.resolveLocale(createRequest(connection, path,
+        Phase.CONNECTION));
+
+      LOG.info("WS client " + socket.id + " connected to " + path + ".");
+
+      Object.keys(entry.routes).forEach(function (event) {
+        listen(entry, connection, event);
+      });
+      entry.connections.push(connection);
+
+      socket.on("disconnect", function () {
+        connection.pending = [];
+        entry.connections = entry.connections.filter(function (item) {
+          return item !== connection;
+        });
+        messageListeners = messageListeners.filter(function (item) {
+          return item.socket !== socket;
+        });
+      });
+
+      base.processFilters(createRequest(connection, path, Phase.CONNECTION),
+          connection.res, function (cancel, error) {
+        if (error) {
+          sendError(createContext(connection, path), error,
+            ErrorCode.FILTER_FAILED);
+        }
+        if (cancel) {
+          LOG.info("WS client " + socket.id + " in " + path +
+            " rejected by filters.");
+          connection.pending = [];
+          return socket.disconnect();
+        }
+        connection.ready = true;
+        connection.pending.splice(0).forEach(function (listener) {
+          listener();
+        });
+      });
+    };
+
+    namespaces[path] = entry;
+    entry.namespace.on('connection', entry.listener);
+
+    return entry;
+  };
+
   return WebModules.extend(base, {
 
     /** Maps a route to a controller. The controller is the flow control unit
@@ -29,38 +438,68 @@ WebModules.WebSocketRequestHandler = function (server) {
      *   command constructor, it will execute the command by using a
      *   <code>WebModules.CommandController</code>.
      *
-     * @param {Object} options Options to match this route. Can be null.
+     * @param {Object} options Options to match this route. The
+     *   <code>event</code> option is the socket event this route listens
+     *   for, default is <code>message</code>. Can be null.
+     * @methodOf WebModules.WebSocketRequestHandler#
      */
     endpoint: function (path, handler, options) {
+      var event = (options && options.event) || DEFAULT_EVENT;
+      var entry = namespaces[path] || handleNamespace(path);
       var controller = handler;
 
+      if (entry.routes.hasOwnProperty(event)) {
+        throw new Error("There's already a route for event " + event +
+          " in " + path);
+      }
       if (typeof handler === "function") {
         // Command constructor. Uses a CommandController by default.
         controller = new WebModules.MessageController(function () {
-          return new handler();
-        });
+          return options.services ? options.services.instantiate(handler) :
+            new handler();
+        }, options);
       }
+      entry.routes[event] = controller;
 
-      server.of(path).on('connection', function (socket) {
-        LOG.info("WS client " + socket.id + " connected.")
+      // Sockets connected before the route was mapped also listen for it.
+      entry.connections.forEach(function (connection) {
+        listen(entry, connection, event);
+      });
 
-        socket.on("message", function (data) {
-          var model = controller.handle(data);
-          if (!model) {
-            throw new Error("There's not model to send back.");
-          }
-          model.wait(function () {
-            LOG.debug("Sending WS response.")
-            if (model.options.broadcast) {
-              socket.broadcast.emit("message", model.data);
-            } else {
-              socket.emit("message", model.data);
-            }
-          });
-        });
+      LOG.debug("Initializing route " + path + " for event " + event);
+    },
+
+    /** Removes connection and event listeners registered by this request
+     * handler. Clients of namespaces that are no longer handled by any module
+     * are disconnected.
+     *
+     * @methodOf WebModules.WebSocketRequestHandler#
+     */
+    destroy: function () {
+      var path;
+      var entry;
+
+      messageListeners.forEach(function (item) {
+        item.socket.removeListener(item.event, item.listener);
       });
+      messageListeners = [];
+
+      for (path in namespaces) {
+        if (namespaces.hasOwnProperty(path)) {
+          entry = namespaces[path];
+
+          LOG.debug("Removing route " + path);
 
-      LOG.debug("Initializing route " + path);
+          entry.namespace.removeListener('connection', entry.listener);
+
+          if (entry.namespace.listeners('connection').length === 0) {
+            entry.namespace.clients().forEach(function (socket) {
+              socket.disconnect();
+            });
+          }
+        }
+      }
+      namespaces = {};
     }
   });
 };
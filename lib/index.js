@@ -8,16 +8,32 @@ require("./Utils.js");
 require("./RequestHandler.js");
 require("./ExpressRequestHandler.js");
 require("./WebSocketRequestHandler.js");
+require("./SseRequestHandler.js");
+require("./SerializerRegistry.js");
+require("./ServiceReference.js");
+require("./ServiceRegistry.js");
+require("./CookieFlashStore.js");
+require("./SessionFlashStore.js");
+require("./MessageSource.js");
+require("./LocaleResolver.js");
 require("./ModuleManager.js");
 require("./Module.js");
+require("./MessagingService.js");
 require("./CommandController.js");
 require("./MessageController.js");
+require("./InMemoryTransactionManager.js");
 require("./ModelAndView.js");
 require("./Model.js");
 require("./Redirect.js");
+require("./RoutePattern.js");
+require("./ExceptionResolver.js");
 require("./MultiPathViewResolver.js");
 require("./StaticContentMapper.js");
 require("./DeploymentAgent.js");
+require("./TestKit.js");
 require("./ObjectDataBinder.js");
+require("./Errors.js");
+require("./Validator.js");
+require("./ValidationError.js");
 
 WebModules.extend(exports, WebModules);